@@ -2,17 +2,27 @@
  * 后台服务脚本 (Service Worker)
  * Manifest V3 扩展的后台脚本
  */
+import Omnibox from './scripts/omnibox.js'
+import ContextMenu from './scripts/context-menu.js'
+import storageManager from './scripts/storage.js'
+
+// 地址栏关键词搜索
+new Omnibox()
+
+// 选中文字右键搜索
+new ContextMenu()
 
 // 扩展安装时的处理
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('扩展已安装:', details.reason)
 
   if (details.reason === 'install') {
     // 首次安装时的处理
     console.log('首次安装扩展')
   } else if (details.reason === 'update') {
-    // 扩展更新时的处理
+    // 扩展更新时迁移旧版本的设置数据
     console.log('扩展已更新')
+    await storageManager.migrate()
   }
 })
 
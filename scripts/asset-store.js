@@ -0,0 +1,271 @@
+/**
+ * 资源存储管理器
+ * 使用 IndexedDB 保存壁纸等二进制资源，设置中只保存资源ID
+ * 避免大体积数据写入 chrome.storage.local 导致每次更新设置都重写整个对象
+ * 由资源派生的缓存（例如预渲染的模糊壁纸）以变体形式保存，删除资源时一并删除
+ * 体积很小的派生数据（例如配色）直接保存在资源记录中
+ */
+
+const DB_NAME = 'tabExtensionAssets'
+const DB_VERSION = 2
+const STORE_NAME = 'assets'
+
+// 每个资源最多保留的变体数量
+const MAX_VARIANTS = 4
+
+class AssetStore {
+  constructor() {
+    this.dbPromise = null
+    this.objectUrls = new Map() // 资源ID -> object URL
+  }
+
+  /**
+   * 打开数据库（只打开一次）
+   * @returns {Promise<IDBDatabase>} 数据库连接
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+        request.onupgradeneeded = () => {
+          const db = request.result
+          const store = db.objectStoreNames.contains(STORE_NAME)
+            ? request.transaction.objectStore(STORE_NAME)
+            : db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+
+          // 版本 2：按来源资源查找变体
+          if (!store.indexNames.contains('sourceId')) {
+            store.createIndex('sourceId', 'sourceId')
+          }
+        }
+
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      }).catch((error) => {
+        // 打开失败时允许下次重试
+        this.dbPromise = null
+        throw error
+      })
+    }
+
+    return this.dbPromise
+  }
+
+  /**
+   * 在事务中执行一次请求
+   * @param {string} mode - 事务模式 ('readonly' | 'readwrite')
+   * @param {Function} callback - (objectStore) => IDBRequest
+   * @returns {Promise<*>} 请求结果
+   */
+  async run(mode, callback) {
+    const db = await this.open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = callback(transaction.objectStore(STORE_NAME))
+
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * 保存资源
+   * @param {Blob} blob - 资源数据
+   * @param {Object} [meta] - 附加信息（例如原始文件名）
+   * @param {string} [id] - 资源ID，省略时随机生成；指定已存在的ID时覆盖原资源
+   * @returns {Promise<string>} 资源ID
+   */
+  async put(
+    blob,
+    meta = {},
+    id = `asset_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  ) {
+    this.revokeObjectUrl(id)
+    await this.run('readwrite', (store) =>
+      store.put({
+        ...meta,
+        id,
+        blob,
+        type: blob.type,
+        size: blob.size,
+        createdAt: Date.now(),
+      }),
+    )
+
+    return id
+  }
+
+  /**
+   * 获取资源
+   * @param {string} id - 资源ID
+   * @returns {Promise<Blob|null>} 资源数据，不存在时返回 null
+   */
+  async get(id) {
+    if (!id) return null
+
+    const record = await this.run('readonly', (store) => store.get(id))
+    return record ? record.blob : null
+  }
+
+  /**
+   * 获取资源的附加信息
+   * @param {string} id - 资源ID
+   * @returns {Promise<Object|null>} 附加信息（不含资源数据），资源不存在时返回 null
+   */
+  async getMeta(id) {
+    if (!id) return null
+
+    const record = await this.run('readonly', (store) => store.get(id))
+    if (!record) return null
+
+    const { blob, ...meta } = record
+    return meta
+  }
+
+  /**
+   * 更新资源的附加信息（例如由资源提取的配色）
+   * 资源不存在时不做任何操作
+   * @param {string} id - 资源ID
+   * @param {Object} meta - 要合并的附加信息
+   */
+  async updateMeta(id, meta) {
+    if (!id) return
+
+    await this.run('readwrite', (store) => {
+      const request = store.get(id)
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, ...meta, id })
+        }
+      }
+      return request
+    })
+  }
+
+  /**
+   * 删除资源及其变体，并释放对应的 object URL
+   * @param {string} id - 资源ID
+   */
+  async delete(id) {
+    if (!id) return
+
+    this.revokeObjectUrl(id)
+    await this.run('readwrite', (store) => {
+      this.deleteVariants(store, id)
+      return store.delete(id)
+    })
+  }
+
+  /**
+   * 保存资源的变体
+   * 每个资源保留最近保存的 MAX_VARIANTS 个变体（例如浅色和深色主题使用不同的模糊参数），
+   * 超出时删除最早的
+   * @param {string} sourceId - 来源资源ID
+   * @param {string} key - 变体标识（例如渲染参数）
+   * @param {Blob} blob - 变体数据
+   */
+  async putVariant(sourceId, key, blob) {
+    const id = `${sourceId}#${key}`
+
+    this.revokeObjectUrl(id)
+    await this.run('readwrite', (store) => {
+      const request = store.put({
+        id,
+        sourceId,
+        blob,
+        type: blob.type,
+        size: blob.size,
+        createdAt: Date.now(),
+      })
+      this.deleteVariants(store, sourceId, MAX_VARIANTS)
+      return request
+    })
+  }
+
+  /**
+   * 获取资源变体的 object URL
+   * @param {string} sourceId - 来源资源ID
+   * @param {string} key - 变体标识
+   * @returns {Promise<string|null>} object URL，变体不存在时返回 null
+   */
+  getVariantObjectUrl(sourceId, key) {
+    return this.getObjectUrl(`${sourceId}#${key}`)
+  }
+
+  /**
+   * 在事务中删除资源的变体
+   * @param {IDBObjectStore} store - 对象存储
+   * @param {string} sourceId - 来源资源ID
+   * @param {number} [keep] - 保留最近保存的变体数量，默认全部删除
+   */
+  deleteVariants(store, sourceId, keep = 0) {
+    const variants = []
+    const request = store
+      .index('sourceId')
+      .openCursor(IDBKeyRange.only(sourceId))
+
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (cursor) {
+        variants.push(cursor.value)
+        cursor.continue()
+        return
+      }
+
+      variants
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(keep)
+        .forEach((variant) => {
+          this.revokeObjectUrl(variant.id)
+          store.delete(variant.id)
+        })
+    }
+  }
+
+  /**
+   * 删除全部资源
+   */
+  async clear() {
+    this.objectUrls.forEach((url) => URL.revokeObjectURL(url))
+    this.objectUrls.clear()
+    await this.run('readwrite', (store) => store.clear())
+  }
+
+  /**
+   * 获取资源的 object URL（同一资源复用同一个URL）
+   * @param {string} id - 资源ID
+   * @returns {Promise<string|null>} object URL，资源不存在时返回 null
+   */
+  async getObjectUrl(id) {
+    if (this.objectUrls.has(id)) {
+      return this.objectUrls.get(id)
+    }
+
+    const blob = await this.get(id)
+    if (!blob) return null
+
+    const url = URL.createObjectURL(blob)
+    this.objectUrls.set(id, url)
+    return url
+  }
+
+  /**
+   * 释放资源的 object URL
+   * @param {string} id - 资源ID
+   */
+  revokeObjectUrl(id) {
+    const url = this.objectUrls.get(id)
+    if (url) {
+      URL.revokeObjectURL(url)
+      this.objectUrls.delete(id)
+    }
+  }
+}
+
+// 创建单例实例
+const assetStore = new AssetStore()
+
+export default assetStore
@@ -0,0 +1,145 @@
+/**
+ * 非图片背景模块
+ * 将纯色、渐变和图案设置转换为 CSS 背景样式
+ */
+
+// 可选的图案
+export const PATTERNS = {
+  dots: '圆点',
+  grid: '网格',
+  stripes: '斜条纹',
+  checker: '棋盘格',
+}
+
+// 渐变色标数量限制
+export const MIN_GRADIENT_STOPS = 2
+export const MAX_GRADIENT_STOPS = 5
+
+/**
+ * 判断是否为 #rrggbb 格式的颜色
+ * @param {string} color - 颜色值
+ * @returns {boolean}
+ */
+export function isHexColor(color) {
+  return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)
+}
+
+/**
+ * 校验颜色，无效时返回备用颜色
+ * @param {string} color - 颜色值
+ * @param {string} fallback - 备用颜色
+ * @returns {string} 颜色值
+ */
+function safeColor(color, fallback) {
+  return isHexColor(color) ? color : fallback
+}
+
+/**
+ * 将 #rrggbb 颜色转换为带透明度的 rgba()
+ * @param {string} color - 颜色值，无效时使用黑色
+ * @param {number} alpha - 透明度 (0-1)
+ * @returns {string} CSS 颜色
+ */
+export function toRgba(color, alpha) {
+  const hex = safeColor(color, '#000000')
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16))
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`
+}
+
+/**
+ * 生成暗角的 CSS 背景
+ * @param {number} strength - 暗角强度 (0-100)
+ * @returns {string} CSS 渐变，强度为 0 时返回 'none'
+ */
+export function buildVignette(strength) {
+  const alpha = Math.min(100, Math.max(0, Number(strength) || 0)) / 100
+  if (alpha === 0) return 'none'
+
+  return `radial-gradient(ellipse at center, rgba(0, 0, 0, 0) 40%, rgba(0, 0, 0, ${alpha}) 100%)`
+}
+
+/**
+ * 生成渐变的 CSS 值
+ * 色标按位置排序，位置限制在 0-100%
+ * @param {Object} gradient - 渐变设置 { type, angle, stops: [{ color, position }] }
+ * @returns {string} CSS 渐变
+ */
+export function buildGradient(gradient) {
+  const stops = [...(gradient.stops || [])]
+    .map((stop) => ({
+      color: safeColor(stop.color, '#000000'),
+      position: Math.min(100, Math.max(0, Number(stop.position) || 0)),
+    }))
+    .sort((a, b) => a.position - b.position)
+    .map((stop) => `${stop.color} ${stop.position}%`)
+    .join(', ')
+
+  if (gradient.type === 'radial') {
+    return `radial-gradient(circle at center, ${stops})`
+  }
+
+  return `linear-gradient(${Number(gradient.angle) || 0}deg, ${stops})`
+}
+
+/**
+ * 生成图案的 CSS 背景
+ * @param {Object} pattern - 图案设置 { name, foreground, background, size }
+ * @returns {Object} { image, size, color }
+ */
+export function buildPattern(pattern) {
+  const fg = safeColor(pattern.foreground, '#3a3a3c')
+  const size = Math.max(4, Number(pattern.size) || 24)
+  const half = size / 2
+
+  const patterns = {
+    dots: {
+      image: `radial-gradient(${fg} 15%, transparent 16%)`,
+      size: `${size}px ${size}px`,
+    },
+    grid: {
+      image: `linear-gradient(${fg} 1px, transparent 1px), linear-gradient(90deg, ${fg} 1px, transparent 1px)`,
+      size: `${size}px ${size}px`,
+    },
+    stripes: {
+      image: `repeating-linear-gradient(45deg, ${fg} 0 ${half}px, transparent ${half}px ${size}px)`,
+      size: 'auto',
+    },
+    checker: {
+      image: `conic-gradient(${fg} 25%, transparent 0 50%, ${fg} 0 75%, transparent 0)`,
+      size: `${size}px ${size}px`,
+    },
+  }
+
+  return {
+    ...(patterns[pattern.name] || patterns.dots),
+    color: safeColor(pattern.background, '#1d1d1f'),
+  }
+}
+
+/**
+ * 获取非图片壁纸的背景样式
+ * @param {Object} settings - 壁纸设置
+ * @returns {Object} { image, size, repeat, color }
+ */
+export function getBackgroundStyle(settings) {
+  switch (settings.type) {
+    case 'gradient':
+      return {
+        image: buildGradient(settings.gradient),
+        size: 'cover',
+        repeat: 'no-repeat',
+        color: '#000000',
+      }
+    case 'pattern': {
+      const pattern = buildPattern(settings.pattern)
+      return { ...pattern, repeat: 'repeat' }
+    }
+    default:
+      return {
+        image: 'none',
+        size: 'auto',
+        repeat: 'no-repeat',
+        color: safeColor(settings.color, '#1d1d1f'),
+      }
+  }
+}
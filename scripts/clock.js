@@ -7,6 +7,7 @@ class Clock {
     this.timeElement = document.getElementById('time')
     this.dateElement = document.getElementById('date')
     this.timer = null
+    this.tickListeners = [] // 每秒调用的回调
     this.init()
   }
 
@@ -22,12 +23,45 @@ class Clock {
    * 开始定时器
    */
   startTimer() {
-    // 每秒更新一次时间
+    // 每秒更新一次时间，并通知订阅者
     this.timer = setInterval(() => {
       this.updateTime()
+      this.notifyTick()
     }, 1000)
   }
 
+  /**
+   * 订阅时钟跳动
+   * @param {Function} callback - 每秒调用一次，参数为当前时间
+   */
+  onTick(callback) {
+    this.tickListeners.push(callback)
+  }
+
+  /**
+   * 取消订阅时钟跳动
+   * @param {Function} callback - 订阅时传入的回调
+   */
+  offTick(callback) {
+    this.tickListeners = this.tickListeners.filter(
+      (listener) => listener !== callback,
+    )
+  }
+
+  /**
+   * 通知所有订阅者
+   */
+  notifyTick() {
+    const now = new Date()
+    this.tickListeners.forEach((listener) => {
+      try {
+        listener(now)
+      } catch (error) {
+        console.error('Clock tick listener failed:', error)
+      }
+    })
+  }
+
   /**
    * 停止定时器
    */
@@ -81,6 +115,7 @@ class Clock {
    */
   destroy() {
     this.stopTimer()
+    this.tickListeners = []
   }
 }
 
@@ -0,0 +1,134 @@
+/**
+ * 右键菜单模块
+ * 为选中的文字提供"使用…搜索"菜单，每个搜索引擎一项
+ * 运行于后台 Service Worker，搜索引擎变化时自动重建菜单
+ */
+import storageManager from './storage.js'
+import historyManager from './history.js'
+import { buildSearchTabUrl } from './post-search.js'
+
+// 菜单ID
+const PARENT_MENU_ID = 'search-selection'
+const ENGINE_MENU_PREFIX = `${PARENT_MENU_ID}:`
+
+class ContextMenu {
+  constructor() {
+    this.building = Promise.resolve()
+    this.init()
+  }
+
+  /**
+   * 注册菜单事件
+   * Service Worker 中的事件监听必须在脚本顶层同步注册
+   */
+  init() {
+    chrome.runtime.onInstalled.addListener(() => {
+      this.rebuild()
+    })
+
+    chrome.runtime.onStartup.addListener(() => {
+      this.rebuild()
+    })
+
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      this.handleClick(info, tab)
+    })
+
+    // 设置面板中增删改或排序搜索引擎后重建菜单
+    storageManager.onChanged((newSettings, oldSettings) => {
+      const newList = this.getMenuEngines(newSettings)
+      const oldList = this.getMenuEngines(oldSettings)
+      if (JSON.stringify(newList) !== JSON.stringify(oldList)) {
+        this.rebuild()
+      }
+    })
+  }
+
+  /**
+   * 从设置中提取菜单需要的搜索引擎信息
+   * @param {Object} settings - 完整设置
+   * @returns {Array} [{ id, name }]
+   */
+  getMenuEngines(settings) {
+    const list = (settings && settings.engines && settings.engines.list) || []
+    return list.map(({ id, name }) => ({ id, name }))
+  }
+
+  /**
+   * 重建右键菜单
+   * 依次执行，避免并发重建时出现重复的菜单ID
+   * @returns {Promise<void>}
+   */
+  rebuild() {
+    this.building = this.building
+      .then(() => this.build())
+      .catch((error) => {
+        console.error('Failed to build context menu:', error)
+      })
+    return this.building
+  }
+
+  /**
+   * 创建菜单项
+   */
+  async build() {
+    const { list = [] } = await storageManager.getCategory('engines')
+
+    await chrome.contextMenus.removeAll()
+    if (list.length === 0) return
+
+    chrome.contextMenus.create({
+      id: PARENT_MENU_ID,
+      title: '使用…搜索 "%s"',
+      contexts: ['selection'],
+    })
+
+    list.forEach((engine) => {
+      chrome.contextMenus.create({
+        id: `${ENGINE_MENU_PREFIX}${engine.id}`,
+        parentId: PARENT_MENU_ID,
+        title: engine.name,
+        contexts: ['selection'],
+      })
+    })
+  }
+
+  /**
+   * 处理菜单点击
+   * 与新标签页搜索框使用相同的URL构建规则，并遵循打开方式设置
+   * @param {Object} info - 点击信息
+   * @param {Object} tab - 当前标签页
+   */
+  async handleClick(info, tab) {
+    const menuItemId = String(info.menuItemId)
+    if (!menuItemId.startsWith(ENGINE_MENU_PREFIX)) return
+
+    const query = (info.selectionText || '').trim()
+    if (!query) return
+
+    try {
+      const engineId = menuItemId.slice(ENGINE_MENU_PREFIX.length)
+      const { list = [] } = await storageManager.getCategory('engines')
+      const engine = list.find((item) => item.id === engineId)
+      if (!engine) return
+
+      await historyManager.add(query, engine.id)
+
+      const url = buildSearchTabUrl(engine, query)
+      const { openIn } = await storageManager.getCategory('general')
+
+      if (openIn === 'current-tab' && tab) {
+        await chrome.tabs.update(tab.id, { url })
+      } else {
+        await chrome.tabs.create({
+          url,
+          ...(tab ? { index: tab.index + 1, openerTabId: tab.id } : {}),
+        })
+      }
+    } catch (error) {
+      console.error('Failed to search selection:', error)
+    }
+  }
+}
+
+export default ContextMenu
@@ -0,0 +1,133 @@
+/**
+ * 自定义主题模块
+ * 校验、导入和导出用户定义的主题配色，并转换为 CSS 变量
+ */
+import { isHexColor, toRgba } from './backgrounds.js'
+import { getRelativeLuminance, mixColors } from './palette.js'
+
+// 内置主题模式
+export const BUILTIN_THEMES = ['system', 'light', 'dark']
+
+// 自定义主题最多保存的数量
+export const MAX_CUSTOM_THEMES = 20
+
+// 主题名称的最大长度
+const MAX_NAME_LENGTH = 30
+
+// 自定义主题可设置的颜色
+export const THEME_COLORS = {
+  accent: '强调色',
+  surface: '背景颜色',
+  text: '文字颜色',
+  border: '边框颜色',
+}
+
+// 新建主题时的默认颜色，与 theme.css 中的浅色主题一致
+export const DEFAULT_THEME_COLORS = {
+  accent: '#007aff',
+  surface: '#f5f5f7',
+  text: '#1d1d1f',
+  border: '#dcdcde',
+}
+
+// 背景亮度低于该值时按深色主题处理（此时白色文字的对比度高于黑色文字）
+const DARK_SURFACE_LUMINANCE = 0.18
+
+// 自定义主题覆盖的 CSS 变量
+export const CUSTOM_THEME_VARIABLES = [
+  '--bg-color',
+  '--text-color',
+  '--panel-bg-color',
+  '--input-bg-color',
+  '--border-color',
+  '--primary-color',
+  '--primary-hover-color',
+  '--secondary-color',
+  '--secondary-hover-color',
+]
+
+/**
+ * 校验并规范化主题配色
+ * 主题的深浅由背景颜色决定，用于深色模式壁纸和滚动条等只区分深浅的样式
+ * @param {Object} data - 主题数据 { name, colors: { accent, surface, text, border } }
+ * @returns {Object} { name, base, colors }，base 为 'light' | 'dark'
+ * @throws {Error} 名称为空或颜色无效时抛出
+ */
+export function normalizeTheme(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('主题数据格式无效')
+  }
+
+  const name = typeof data.name === 'string' ? data.name.trim() : ''
+  if (!name) {
+    throw new Error('主题名称不能为空')
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`主题名称不能超过${MAX_NAME_LENGTH}个字符`)
+  }
+
+  const source = data.colors || {}
+  const colors = {}
+  Object.entries(THEME_COLORS).forEach(([key, label]) => {
+    if (!isHexColor(source[key])) {
+      throw new Error(`${label}必须是 #rrggbb 格式的颜色`)
+    }
+    colors[key] = source[key].toLowerCase()
+  })
+
+  const base =
+    getRelativeLuminance(colors.surface) < DARK_SURFACE_LUMINANCE
+      ? 'dark'
+      : 'light'
+
+  return { name, base, colors }
+}
+
+/**
+ * 解析导入的主题 JSON
+ * @param {string} text - JSON 文本，格式同 serializeTheme 的输出
+ * @returns {Object} { name, base, colors }
+ * @throws {Error} JSON 无效或主题数据无效时抛出
+ */
+export function parseThemeJson(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    throw new Error('不是有效的 JSON')
+  }
+
+  return normalizeTheme(data)
+}
+
+/**
+ * 导出主题为 JSON
+ * @param {Object} theme - 自定义主题
+ * @returns {string} JSON 文本
+ */
+export function serializeTheme(theme) {
+  return JSON.stringify({ name: theme.name, colors: theme.colors }, null, 2)
+}
+
+/**
+ * 生成自定义主题的 CSS 变量
+ * 面板、输入框和次要按钮的颜色由背景和文字颜色推算
+ * @param {Object} theme - 自定义主题
+ * @returns {Object} CSS 变量名 -> 值，变量名见 CUSTOM_THEME_VARIABLES
+ */
+export function buildThemeVariables(theme) {
+  const { accent, surface, text, border } = theme.colors
+  const hoverTarget = theme.base === 'dark' ? '#ffffff' : '#000000'
+
+  return {
+    '--bg-color': surface,
+    '--text-color': text,
+    '--panel-bg-color': toRgba(surface, 0.8),
+    '--input-bg-color': toRgba(surface, 0.7),
+    '--border-color': border,
+    '--primary-color': accent,
+    '--primary-hover-color': mixColors(accent, hoverTarget, 0.2),
+    '--secondary-color': toRgba(text, 0.08),
+    '--secondary-hover-color': toRgba(text, 0.15),
+  }
+}
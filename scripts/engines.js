@@ -3,6 +3,7 @@
  * 负责管理搜索引擎的增删改查
  */
 import storageManager from './storage.js'
+import { validateTemplate } from './url-template.js'
 
 class Engines {
   constructor() {
@@ -38,24 +39,30 @@ class Engines {
           id: 'google',
           name: 'Google',
           url: 'https://www.google.com/search?q=%s',
+          suggestUrl:
+            'https://suggestqueries.google.com/complete/search?client=firefox&q=%s',
           icon: 'assets/icons/google.ico',
         },
         {
           id: 'bing',
           name: 'Bing',
           url: 'https://www.bing.com/search?q=%s',
+          suggestUrl: 'https://api.bing.com/osjson.aspx?query=%s',
           icon: 'assets/icons/bing.ico',
         },
         {
           id: 'baidu',
           name: '百度',
           url: 'https://www.baidu.com/s?wd=%s',
+          suggestUrl:
+            'https://suggestion.baidu.com/su?wd=%s&action=opensearch&ie=utf-8',
           icon: 'assets/icons/baidu.ico',
         },
         {
           id: 'duckduckgo',
           name: 'DuckDuckGo',
           url: 'https://duckduckgo.com/?q=%s',
+          suggestUrl: 'https://duckduckgo.com/ac/?q=%s&type=list',
           icon: 'assets/icons/duckduckgo.ico',
         },
       ]
@@ -129,9 +136,10 @@ class Engines {
       throw new Error('搜索引擎名称和URL不能为空')
     }
 
-    // 验证URL格式
-    if (!engine.url.includes('%s')) {
-      throw new Error('搜索URL必须包含 %s 作为关键词占位符')
+    // 验证URL模板
+    const urlError = validateTemplate(engine.url, { charset: engine.charset })
+    if (urlError) {
+      throw new Error(urlError)
     }
 
     // 生成唯一ID
@@ -147,6 +155,8 @@ class Engines {
       name: engine.name,
       url: engine.url,
       icon: engine.icon || 'assets/ui/search.svg',
+      suggestUrl: engine.suggestUrl || '',
+      charset: engine.charset || 'UTF-8',
     }
 
     this.engines.push(newEngine)
@@ -177,9 +187,15 @@ class Engines {
       throw new Error(`搜索引擎 ${engineId} 不存在`)
     }
 
-    // 验证URL格式（如果更新了URL）
-    if (updates.url && !updates.url.includes('%s')) {
-      throw new Error('搜索URL必须包含 %s 作为关键词占位符')
+    // 验证URL模板（如果更新了URL或字符集）
+    if (updates.url || updates.charset) {
+      const urlError = validateTemplate(
+        updates.url || this.engines[index].url,
+        { charset: updates.charset || this.engines[index].charset },
+      )
+      if (urlError) {
+        throw new Error(urlError)
+      }
     }
 
     const oldEngine = this.engines[index]
@@ -282,24 +298,30 @@ class Engines {
         id: 'google',
         name: 'Google',
         url: 'https://www.google.com/search?q=%s',
+        suggestUrl:
+          'https://suggestqueries.google.com/complete/search?client=firefox&q=%s',
         icon: 'assets/icons/google.ico',
       },
       {
         id: 'bing',
         name: 'Bing',
         url: 'https://www.bing.com/search?q=%s',
+        suggestUrl: 'https://api.bing.com/osjson.aspx?query=%s',
         icon: 'assets/icons/bing.ico',
       },
       {
         id: 'baidu',
         name: '百度',
         url: 'https://www.baidu.com/s?wd=%s',
+        suggestUrl:
+          'https://suggestion.baidu.com/su?wd=%s&action=opensearch&ie=utf-8',
         icon: 'assets/icons/baidu.ico',
       },
       {
         id: 'duckduckgo',
         name: 'DuckDuckGo',
         url: 'https://duckduckgo.com/?q=%s',
+        suggestUrl: 'https://duckduckgo.com/ac/?q=%s&type=list',
         icon: 'assets/icons/duckduckgo.ico',
       },
     ]
@@ -346,14 +368,27 @@ class Engines {
       engine.url.trim() === ''
     ) {
       errors.push('搜索引擎URL不能为空')
-    } else if (!engine.url.includes('%s')) {
-      errors.push('搜索URL必须包含 %s 作为关键词占位符')
+    } else {
+      const urlError = validateTemplate(engine.url, { charset: engine.charset })
+      if (urlError) {
+        errors.push(urlError)
+      }
     }
 
     if (engine.icon && typeof engine.icon !== 'string') {
       errors.push('搜索引擎图标必须是有效的URL字符串')
     }
 
+    if (engine.suggestUrl) {
+      const suggestUrlError = validateTemplate(engine.suggestUrl, {
+        label: '建议URL',
+        charset: engine.charset,
+      })
+      if (suggestUrlError) {
+        errors.push(suggestUrlError)
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors,
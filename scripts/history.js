@@ -0,0 +1,152 @@
+/**
+ * 搜索历史管理器
+ * 负责搜索历史的记录、匹配、清理和隐私控制
+ */
+import storageManager from './storage.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class HistoryManager {
+  constructor() {
+    this.category = 'history'
+  }
+
+  /**
+   * 获取历史设置（包含记录列表）
+   * @returns {Promise<Object>} { paused, maxSize, retentionDays, entries }
+   */
+  async getSettings() {
+    return storageManager.getCategory(this.category)
+  }
+
+  /**
+   * 获取按保留策略清理后的历史记录（最近的在前）
+   * @returns {Promise<Array>} 历史记录列表
+   */
+  async getEntries() {
+    const settings = await this.getSettings()
+    return this.prune(settings.entries || [], settings)
+  }
+
+  /**
+   * 记录一次搜索
+   * 已存在的关键词会累加次数并刷新时间
+   * @param {string} query - 搜索关键词
+   * @param {string} engineId - 搜索引擎ID
+   * @returns {Promise<Array>} 更新后的历史记录列表
+   */
+  async add(query, engineId) {
+    const settings = await this.getSettings()
+    const entries = settings.entries || []
+
+    // 暂停记录时不写入任何内容
+    if (settings.paused) {
+      return this.prune(entries, settings)
+    }
+
+    const existing = entries.find((entry) => entry.query === query)
+    const entry = {
+      query,
+      engineId,
+      timestamp: Date.now(),
+      count: existing ? (existing.count || 1) + 1 : 1,
+    }
+
+    const updated = this.prune(
+      [entry, ...entries.filter((item) => item.query !== query)],
+      settings,
+    )
+    await storageManager.updateCategory(this.category, { entries: updated })
+    return updated
+  }
+
+  /**
+   * 删除单条历史记录
+   * @param {string} query - 搜索关键词
+   * @returns {Promise<Array>} 更新后的历史记录列表
+   */
+  async remove(query) {
+    const settings = await this.getSettings()
+    const updated = (settings.entries || []).filter(
+      (entry) => entry.query !== query,
+    )
+    await storageManager.updateCategory(this.category, { entries: updated })
+    return this.prune(updated, settings)
+  }
+
+  /**
+   * 清空全部历史记录
+   */
+  async clear() {
+    await storageManager.updateCategory(this.category, { entries: [] })
+  }
+
+  /**
+   * 暂停或恢复历史记录
+   * @param {boolean} paused - 是否暂停
+   */
+  async setPaused(paused) {
+    await storageManager.updateCategory(this.category, { paused })
+  }
+
+  /**
+   * 更新保留策略，并立即清理超出范围的记录
+   * @param {Object} policy - { maxSize, retentionDays }
+   * @returns {Promise<Array>} 清理后的历史记录列表
+   */
+  async updatePolicy(policy) {
+    const settings = { ...(await this.getSettings()), ...policy }
+    const entries = this.prune(settings.entries || [], settings)
+    await storageManager.updateCategory(this.category, { ...policy, entries })
+    return entries
+  }
+
+  /**
+   * 按保留策略清理历史记录
+   * @param {Array} entries - 历史记录列表
+   * @param {Object} policy - { maxSize, retentionDays }，retentionDays 为 0 表示永久保留
+   * @returns {Array} 清理后的记录列表（最近的在前）
+   */
+  prune(entries, { maxSize, retentionDays }) {
+    const cutoff = retentionDays > 0 ? Date.now() - retentionDays * DAY_MS : 0
+
+    const kept = entries
+      .filter((entry) => entry && entry.query && entry.timestamp >= cutoff)
+      .sort((a, b) => b.timestamp - a.timestamp)
+
+    return maxSize > 0 ? kept.slice(0, maxSize) : kept
+  }
+
+  /**
+   * 在历史记录中匹配关键词
+   * 前缀匹配优先，其次按搜索次数和时间排序
+   * @param {Array} entries - 历史记录列表
+   * @param {string} query - 查询关键词
+   * @param {number} limit - 最大返回数量
+   * @returns {Array} 匹配的历史记录
+   */
+  match(entries, query, limit) {
+    const keyword = query.trim().toLowerCase()
+    if (!keyword) return []
+
+    return entries
+      .map((entry) => {
+        const index = entry.query.toLowerCase().indexOf(keyword)
+        return { entry, index }
+      })
+      .filter(({ index }) => index !== -1)
+      .sort(
+        (a, b) =>
+          (a.index === 0 ? 0 : 1) - (b.index === 0 ? 0 : 1) ||
+          (b.entry.count || 1) - (a.entry.count || 1) ||
+          b.entry.timestamp - a.entry.timestamp,
+      )
+      .slice(0, limit)
+      .map(({ entry }) => entry)
+  }
+}
+
+// 创建单例实例
+const historyManager = new HistoryManager()
+
+export default historyManager
@@ -0,0 +1,396 @@
+/**
+ * 图片处理模块
+ * 上传壁纸时按屏幕分辨率缩小并重新编码，减小存储体积和每次打开新标签页的解码开销
+ * 视频和动图保持原文件，只提取首帧作为封面
+ */
+import { toRgba } from './backgrounds.js'
+import { analyzePixels } from './palette.js'
+
+// 支持的输出格式
+export const OUTPUT_FORMATS = ['image/webp', 'image/jpeg']
+
+// 支持的视频格式
+export const VIDEO_TYPES = ['video/mp4', 'video/webm']
+
+// 提取配色时的采样尺寸（像素）
+const PALETTE_SAMPLE_SIZE = 64
+
+/**
+ * 生成图片调整的滤镜
+ * Canvas 的 filter 属性与 CSS 使用相同的语法，预渲染和实时显示的效果一致
+ * @param {Object} [adjustments] - { brightness, contrast, saturation, grayscale }，单位为百分比
+ * @returns {string} 滤镜，没有调整时返回空字符串
+ */
+export function buildAdjustmentFilter(adjustments = {}) {
+  const {
+    brightness = 100,
+    contrast = 100,
+    saturation = 100,
+    grayscale = 0,
+  } = adjustments
+  const filters = []
+
+  if (brightness !== 100) filters.push(`brightness(${brightness}%)`)
+  if (contrast !== 100) filters.push(`contrast(${contrast}%)`)
+  if (saturation !== 100) filters.push(`saturate(${saturation}%)`)
+  if (grayscale !== 0) filters.push(`grayscale(${grayscale}%)`)
+
+  return filters.join(' ')
+}
+
+/**
+ * 判断图片是否为动图
+ * 优先使用 ImageDecoder，不支持时读取文件头：GIF 视为动图，WebP 检查 VP8X 动画标记
+ * @param {Blob} file - 图片文件
+ * @returns {Promise<boolean>}
+ */
+export async function isAnimatedImage(file) {
+  if (typeof ImageDecoder !== 'undefined') {
+    try {
+      const decoder = new ImageDecoder({ data: file.stream(), type: file.type })
+      await decoder.tracks.ready
+      const animated = decoder.tracks.selectedTrack.animated
+      decoder.close()
+      return animated
+    } catch (error) {
+      // 解码器不支持该格式时使用文件头判断
+    }
+  }
+
+  if (file.type === 'image/gif') return true
+  if (file.type !== 'image/webp') return false
+
+  const header = new Uint8Array(await file.slice(0, 21).arrayBuffer())
+  const chunk = String.fromCharCode(...header.slice(12, 16))
+  return chunk === 'VP8X' && (header[20] & 0x02) !== 0
+}
+
+/**
+ * 获取上传文件的壁纸类型
+ * @param {Blob} file - 上传的文件
+ * @returns {Promise<string|null>} 'image' | 'animated' | 'video'，不支持时返回 null
+ */
+export async function getMediaKind(file) {
+  if (VIDEO_TYPES.includes(file.type)) return 'video'
+  if (!file.type.match('image.*')) return null
+
+  return (await isAnimatedImage(file)) ? 'animated' : 'image'
+}
+
+/**
+ * 获取屏幕的设备像素尺寸
+ * @returns {Object} { width, height }
+ */
+export function getScreenPixelSize() {
+  const ratio = window.devicePixelRatio || 1
+  return {
+    width: Math.round(screen.width * ratio),
+    height: Math.round(screen.height * ratio),
+  }
+}
+
+/**
+ * 计算缩放后的尺寸
+ * 壁纸以 cover 方式铺满屏幕，缩放到刚好覆盖屏幕即可；最长边不超过 maxDimension，且不放大
+ * @param {number} width - 原始宽度
+ * @param {number} height - 原始高度
+ * @param {Object} screenSize - 屏幕尺寸 { width, height }
+ * @param {number} [maxDimension] - 最长边上限（像素），0 表示不限制
+ * @returns {Object} { width, height }
+ */
+export function getTargetSize(width, height, screenSize, maxDimension = 0) {
+  let scale = Math.max(screenSize.width / width, screenSize.height / height)
+
+  if (maxDimension > 0) {
+    scale = Math.min(scale, maxDimension / Math.max(width, height))
+  }
+
+  scale = Math.min(scale, 1)
+
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  }
+}
+
+/**
+ * 创建绘图画布，优先使用 OffscreenCanvas
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {OffscreenCanvas|HTMLCanvasElement} 画布
+ */
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height)
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+/**
+ * 将画布编码为图片
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - 画布
+ * @param {string} type - 输出格式
+ * @param {number} quality - 编码质量 (0-1)
+ * @returns {Promise<Blob>} 图片数据
+ */
+function encodeCanvas(canvas, type, quality) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality })
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('图片编码失败'))),
+      type,
+      quality,
+    )
+  })
+}
+
+/**
+ * 缩小并重新编码图片
+ * 解码时按 EXIF 方向旋转图片，重新编码后的文件不再包含 EXIF 等元数据
+ * @param {Blob} file - 原始图片
+ * @param {Object} options - 处理选项
+ * @param {number} [options.maxDimension] - 最长边上限（像素），0 表示只按屏幕尺寸缩小
+ * @param {string} [options.format] - 输出格式 ('image/webp' | 'image/jpeg')
+ * @param {number} [options.quality] - 编码质量 (0-1)
+ * @param {Object} [options.screenSize] - 屏幕尺寸，默认使用当前屏幕
+ * @returns {Promise<Object>} { blob, width, height }
+ * @throws {Error} 图片无法解码或编码时抛出
+ */
+export async function processImage(
+  file,
+  {
+    maxDimension = 0,
+    format = 'image/webp',
+    quality = 0.85,
+    screenSize = getScreenPixelSize(),
+  } = {},
+) {
+  let bitmap
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  } catch (error) {
+    throw new Error('无法读取图片内容')
+  }
+
+  try {
+    return await encodeBitmap(bitmap, {
+      maxDimension,
+      format,
+      quality,
+      screenSize,
+    })
+  } finally {
+    bitmap.close()
+  }
+}
+
+/**
+ * 提取视频或动图的首帧作为封面
+ * 视频跳过开头可能为黑屏的帧，封面按上传设置缩小并编码
+ * @param {Blob} file - 视频或动图文件
+ * @param {string} kind - 'video' | 'animated'
+ * @param {Object} [options] - 编码选项，同 processImage
+ * @returns {Promise<Object>} { blob, width, height }
+ * @throws {Error} 无法读取文件时抛出
+ */
+export async function extractPoster(file, kind, options = {}) {
+  const bitmap =
+    kind === 'video' ? await captureVideoFrame(file) : await decodeImage(file)
+
+  try {
+    return await encodeBitmap(bitmap, {
+      maxDimension: options.maxDimension || 0,
+      format: options.format || 'image/webp',
+      quality: options.quality || 0.85,
+      screenSize: options.screenSize || getScreenPixelSize(),
+    })
+  } finally {
+    bitmap.close()
+  }
+}
+
+/**
+ * 解码图片的第一帧
+ * @param {Blob} file - 图片文件
+ * @returns {Promise<ImageBitmap>}
+ */
+async function decodeImage(file) {
+  try {
+    return await createImageBitmap(file)
+  } catch (error) {
+    throw new Error('无法读取图片内容')
+  }
+}
+
+/**
+ * 截取视频画面
+ * @param {Blob} file - 视频文件
+ * @returns {Promise<ImageBitmap>}
+ */
+async function captureVideoFrame(file) {
+  const url = URL.createObjectURL(file)
+  const video = document.createElement('video')
+  video.muted = true
+  video.preload = 'auto'
+
+  const waitFor = (event) =>
+    new Promise((resolve, reject) => {
+      video.addEventListener(event, resolve, { once: true })
+      video.addEventListener(
+        'error',
+        () => reject(new Error('无法读取视频内容')),
+        { once: true },
+      )
+    })
+
+  try {
+    const loaded = waitFor('loadeddata')
+    video.src = url
+    await loaded
+
+    const time = Math.min(0.5, (video.duration || 0) / 2)
+    if (time > 0) {
+      const seeked = waitFor('seeked')
+      video.currentTime = time
+      await seeked
+    }
+
+    return await createImageBitmap(video)
+  } finally {
+    video.removeAttribute('src')
+    video.load()
+    URL.revokeObjectURL(url)
+  }
+}
+
+/**
+ * 将图片帧缩放并编码
+ * @param {ImageBitmap} bitmap - 图片帧
+ * @param {Object} options - { maxDimension, format, quality, screenSize }
+ * @returns {Promise<Object>} { blob, width, height }
+ */
+async function encodeBitmap(
+  bitmap,
+  { maxDimension, format, quality, screenSize },
+) {
+  const { width, height } = getTargetSize(
+    bitmap.width,
+    bitmap.height,
+    screenSize,
+    maxDimension,
+  )
+  const type = OUTPUT_FORMATS.includes(format) ? format : 'image/webp'
+  const canvas = createCanvas(width, height)
+  const context = canvas.getContext('2d')
+
+  // JPEG 不支持透明，先铺白色背景
+  if (type === 'image/jpeg') {
+    context.fillStyle = '#ffffff'
+    context.fillRect(0, 0, width, height)
+  }
+
+  context.imageSmoothingQuality = 'high'
+  context.drawImage(bitmap, 0, 0, width, height)
+
+  const blob = await encodeCanvas(canvas, type, quality)
+  return { blob, width, height }
+}
+
+/**
+ * 预渲染模糊壁纸
+ * 模糊半径按壁纸铺满屏幕时的缩放比例换算，与 CSS 滤镜的显示效果一致；
+ * 绘制时略微放大图片，避免边缘被透明像素晕染。图片调整和遮罩颜色直接叠加到结果中
+ * @param {Blob} blob - 原始图片
+ * @param {Object} options - 渲染选项
+ * @param {number} options.blur - 模糊强度（CSS 像素）
+ * @param {number} options.overlayOpacity - 遮罩透明度 (0-1)
+ * @param {string} [options.overlayColor] - 遮罩颜色
+ * @param {string} [options.filter] - 图片调整滤镜，见 buildAdjustmentFilter
+ * @param {Object} [options.screenSize] - 屏幕尺寸，默认使用当前屏幕
+ * @returns {Promise<Blob>} 渲染后的图片
+ */
+export async function renderBlurredImage(
+  blob,
+  {
+    blur,
+    overlayOpacity,
+    overlayColor = '#000000',
+    filter = '',
+    screenSize = getScreenPixelSize(),
+  },
+) {
+  let bitmap
+  try {
+    bitmap = await createImageBitmap(blob)
+  } catch (error) {
+    throw new Error('无法读取图片内容')
+  }
+
+  try {
+    const { width, height } = getTargetSize(
+      bitmap.width,
+      bitmap.height,
+      screenSize,
+    )
+    // 图片显示时每个像素对应的设备像素数
+    const displayScale = Math.max(
+      screenSize.width / width,
+      screenSize.height / height,
+    )
+    const radius = (blur * (window.devicePixelRatio || 1)) / displayScale
+    const margin = Math.ceil(radius * 2)
+
+    const canvas = createCanvas(width, height)
+    const context = canvas.getContext('2d')
+    context.filter = `blur(${radius}px) ${filter}`.trim()
+    context.drawImage(
+      bitmap,
+      -margin,
+      -margin,
+      width + margin * 2,
+      height + margin * 2,
+    )
+
+    context.filter = 'none'
+    context.fillStyle = toRgba(overlayColor, overlayOpacity)
+    context.fillRect(0, 0, width, height)
+
+    return await encodeCanvas(canvas, 'image/webp', 0.9)
+  } finally {
+    bitmap.close()
+  }
+}
+
+/**
+ * 提取图片的配色
+ * 将图片缩小后统计像素颜色，结果用于自动选择文字颜色
+ * @param {Blob} blob - 图片
+ * @returns {Promise<Object|null>} 配色，见 analyzePixels
+ * @throws {Error} 图片无法解码时抛出
+ */
+export async function extractPalette(blob) {
+  const bitmap = await decodeImage(blob)
+
+  try {
+    const canvas = createCanvas(PALETTE_SAMPLE_SIZE, PALETTE_SAMPLE_SIZE)
+    const context = canvas.getContext('2d', { willReadFrequently: true })
+    context.drawImage(bitmap, 0, 0, PALETTE_SAMPLE_SIZE, PALETTE_SAMPLE_SIZE)
+
+    const { data } = context.getImageData(
+      0,
+      0,
+      PALETTE_SAMPLE_SIZE,
+      PALETTE_SAMPLE_SIZE,
+    )
+    return analyzePixels(data)
+  } finally {
+    bitmap.close()
+  }
+}
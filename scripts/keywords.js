@@ -0,0 +1,72 @@
+/**
+ * 搜索引擎关键词模块
+ * 负责解析 "!bd 天气" 或 "bd 天气" 形式的关键词前缀
+ * 关键词可以属于单个搜索引擎，也可以属于搜索引擎组
+ */
+
+/**
+ * 根据关键词查找搜索引擎或搜索引擎组（不区分大小写）
+ * @param {string} keyword - 关键词
+ * @param {Array} engines - 搜索引擎（或搜索引擎组）列表
+ * @returns {Object|null} 匹配的项目
+ */
+export function findEngineByKeyword(keyword, engines) {
+  if (!keyword) return null
+
+  const lower = keyword.toLowerCase()
+  return (
+    engines.find(
+      (engine) => engine.keyword && engine.keyword.toLowerCase() === lower,
+    ) || null
+  )
+}
+
+/**
+ * 解析输入中的关键词前缀
+ * "!bd" 形式在输入完关键词后即可匹配，"bd" 形式需要后跟空格
+ * @param {string} input - 搜索框输入
+ * @param {Array} engines - 搜索引擎列表
+ * @param {Array} [groups] - 搜索引擎组列表
+ * @returns {Object|null} { engine, group, query, prefix }，未匹配时返回 null
+ */
+export function parseKeyword(input, engines, groups = []) {
+  const match = input.match(/^\s*(!?)([^\s!]+)(\s+|$)/)
+  if (!match) return null
+
+  const [prefix, bang, keyword, separator] = match
+  // 不带 ! 的关键词必须后跟空格，避免把普通搜索词当作关键词
+  if (!bang && !separator) return null
+
+  const engine = findEngineByKeyword(keyword, engines)
+  const group = engine ? null : findEngineByKeyword(keyword, groups)
+  if (!engine && !group) return null
+
+  return {
+    engine,
+    group,
+    query: input.slice(prefix.length).trim(),
+    prefix,
+  }
+}
+
+/**
+ * 校验关键词格式及唯一性
+ * @param {string} keyword - 关键词
+ * @param {Array} engines - 已有的搜索引擎和搜索引擎组
+ * @param {string} [excludeId] - 校验时忽略的ID（编辑时为自身）
+ * @returns {string|null} 错误信息，校验通过时返回 null
+ */
+export function validateKeyword(keyword, engines, excludeId = null) {
+  if (!keyword) return null
+
+  if (typeof keyword !== 'string' || !/^[^\s!]+$/.test(keyword)) {
+    return '关键词不能包含空格或 ! 符号'
+  }
+
+  const existing = findEngineByKeyword(keyword, engines)
+  if (existing && existing.id !== excludeId) {
+    return `关键词 ${keyword} 已被 ${existing.name} 使用`
+  }
+
+  return null
+}
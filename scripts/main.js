@@ -6,8 +6,11 @@ import Clock from './clock.js'
 import Search from './search.js'
 import Theme from './theme.js'
 import Wallpaper from './wallpaper.js'
+import WallpaperDrop from './wallpaper-drop.js'
+import Toast from './toast.js'
 import Settings from './settings.js'
 import storageManager from './storage.js'
+import { readPostRedirect, submitPostRequest } from './post-search.js'
 
 /**
  * 应用主类
@@ -18,6 +21,8 @@ class App {
     this.search = null
     this.theme = null
     this.wallpaper = null
+    this.wallpaperDrop = null
+    this.toast = null
     this.settings = null
     this.isInitialized = false
   }
@@ -87,12 +92,16 @@ class App {
     // 初始化主题（优先级最高，因为其他模块可能依赖主题）
     this.theme = new Theme()
 
-    // 初始化壁纸
-    this.wallpaper = new Wallpaper()
-
     // 初始化时钟
     this.clock = new Clock()
 
+    // 初始化壁纸（深色模式壁纸依赖当前主题，按时段切换依赖时钟）
+    this.wallpaper = new Wallpaper(this.theme, this.clock)
+
+    // 初始化提示消息和壁纸拖放
+    this.toast = new Toast()
+    this.wallpaperDrop = new WallpaperDrop(this.wallpaper, this.toast)
+
     // 初始化搜索
     this.search = new Search()
 
@@ -168,14 +177,14 @@ class App {
       this.updateTabSwitch(e.detail)
     })
 
-    // 壁纸上传
-    document.addEventListener('wallpaperUpload', async (e) => {
-      try {
-        await this.wallpaper.uploadWallpaper(e.detail)
-      } catch (error) {
-        console.error('壁纸上传失败:', error)
-        alert('壁纸上传失败: ' + error.message)
-      }
+    // 搜索建议开关变化
+    document.addEventListener('suggestionsChanged', (e) => {
+      this.updateSuggestions(e.detail)
+    })
+
+    // 壁纸上传（与拖放、粘贴共用进度提示和撤销）
+    document.addEventListener('wallpaperUpload', (e) => {
+      this.wallpaperDrop.upload(e.detail)
     })
 
     // 壁纸重置
@@ -198,6 +207,16 @@ class App {
       this.wallpaper.setOverlayOpacity(e.detail)
     })
 
+    // 壁纸遮罩颜色变化
+    document.addEventListener('wallpaperOverlayColorChanged', (e) => {
+      this.wallpaper.setOverlayColor(e.detail)
+    })
+
+    // 壁纸图片调整变化
+    document.addEventListener('wallpaperAdjustmentsChanged', (e) => {
+      this.wallpaper.setAdjustments(e.detail)
+    })
+
     // 默认搜索引擎变化
     document.addEventListener('defaultEngineChanged', (e) => {
       this.search.setEngine(e.detail)
@@ -208,11 +227,44 @@ class App {
       this.search.updateEngines(e.detail)
     })
 
+    // 搜索引擎组更新
+    document.addEventListener('engineGroupsUpdated', (e) => {
+      this.search.updateGroups(e.detail.groups, e.detail.defaultGroup)
+    })
+
     // 主题变化
     document.addEventListener('themeChanged', (e) => {
       this.theme.setTheme(e.detail)
     })
 
+    // 自定义主题列表更新
+    document.addEventListener('customThemesUpdated', (e) => {
+      this.theme.setCustomThemes(e.detail)
+    })
+
+    // 有效主题变化（包括跟随系统时的系统主题变化）
+    document.addEventListener('effectiveThemeChanged', (e) => {
+      if (this.wallpaper) {
+        this.wallpaper.setEffectiveTheme(e.detail)
+      }
+    })
+
+    // 壁纸配色变化时重新选择时钟文字颜色
+    document.addEventListener('wallpaperPaletteChanged', (e) => {
+      this.theme.setWallpaperPalette(e.detail)
+    })
+
+    // 文字对比度不足时加深壁纸遮罩
+    document.addEventListener('contrastOverlayChanged', (e) => {
+      if (this.wallpaper) {
+        this.wallpaper.setMinOverlayOpacity(e.detail)
+      }
+    })
+
+    document.addEventListener('autoContrastChanged', (e) => {
+      this.theme.setAutoContrast(e.detail)
+    })
+
     // 监听存储变化（来自其他标签页）
     storageManager.onChanged((newSettings, oldSettings) => {
       this.handleStorageChange(newSettings, oldSettings)
@@ -300,6 +352,16 @@ class App {
     }
   }
 
+  /**
+   * 更新搜索建议开关
+   * @param {boolean} enabled - 是否启用
+   */
+  updateSuggestions(enabled) {
+    if (this.search) {
+      this.search.updateSettings({ suggestions: enabled })
+    }
+  }
+
   /**
    * 处理存储变化
    * @param {Object} newSettings - 新设置
@@ -335,28 +397,50 @@ class App {
       if (general.tabSwitch !== undefined) {
         this.updateTabSwitch(general.tabSwitch)
       }
+
+      if (general.suggestions !== undefined) {
+        this.updateSuggestions(general.suggestions)
+      }
     }
 
     // 处理壁纸设置变化
-    if (newSettings.wallpaper) {
-      // 壁纸模块会自动处理自己的变化
+    if (newSettings.wallpaper && this.wallpaper) {
+      this.wallpaper.updateSettings(newSettings.wallpaper)
     }
 
     // 处理搜索引擎设置变化
     if (newSettings.engines) {
       if (this.search) {
         this.search.updateEngines(newSettings.engines.list || [])
+        this.search.updateGroups(
+          newSettings.engines.groups || [],
+          newSettings.engines.defaultGroup,
+        )
         if (newSettings.engines.default) {
           this.search.setEngine(newSettings.engines.default)
         }
       }
     }
 
-    // 处理主题设置变化
-    if (newSettings.theme && newSettings.theme.mode) {
-      if (this.theme) {
-        this.theme.setTheme(newSettings.theme.mode)
-      }
+    // 处理搜索历史变化（只在历史本身变化时更新，避免打断上下键回溯）
+    if (
+      newSettings.history &&
+      this.search &&
+      JSON.stringify(newSettings.history) !==
+        JSON.stringify(oldSettings && oldSettings.history)
+    ) {
+      this.search.updateHistory(newSettings.history)
+    }
+
+    // 处理主题设置变化（只在主题设置本身变化时应用）
+    if (
+      newSettings.theme &&
+      newSettings.theme.mode &&
+      this.theme &&
+      JSON.stringify(newSettings.theme) !==
+        JSON.stringify(oldSettings && oldSettings.theme)
+    ) {
+      this.theme.syncSettings(newSettings.theme)
     }
   }
 
@@ -372,6 +456,14 @@ class App {
       this.theme.destroy()
     }
 
+    if (this.wallpaper) {
+      this.wallpaper.destroy()
+    }
+
+    if (this.wallpaperDrop) {
+      this.wallpaperDrop.destroy()
+    }
+
     // 移除事件监听器
     document.removeEventListener('searchWidthChanged', this.updateSearchWidth)
     document.removeEventListener(
@@ -380,11 +472,21 @@ class App {
     )
     document.removeEventListener('openInChanged', this.updateOpenIn)
     document.removeEventListener('tabSwitchChanged', this.updateTabSwitch)
+    document.removeEventListener('suggestionsChanged', this.updateSuggestions)
   }
 }
 
 // 创建应用实例并初始化
 document.addEventListener('DOMContentLoaded', async () => {
+  // 中转的 POST 搜索请求：直接提交表单，不初始化页面
+  const postRequest = readPostRedirect(window.location.hash)
+  if (postRequest) {
+    // 清除地址中的请求，避免后退时重复提交
+    history.replaceState(null, '', window.location.pathname)
+    submitPostRequest(postRequest, '_self')
+    return
+  }
+
   const app = new App()
   await app.init()
 
@@ -0,0 +1,216 @@
+/**
+ * 设置数据迁移模块
+ * 按版本顺序升级存储中的设置结构，使旧版本用户也能获得新增的默认值和字段
+ *
+ * 新增迁移时：在 migrations 末尾追加一项，version 为上一项加一。
+ * 每个迁移接收设置对象和上下文 { defaults, assetStore }，返回（或异步返回）新的设置对象，
+ * 不直接读写 chrome.storage，可以用固定的设置数据和替身资源存储进行测试。
+ */
+
+/**
+ * 按ID查找默认搜索引擎
+ * @param {Object} defaults - 默认设置
+ * @param {string} engineId - 搜索引擎ID
+ * @returns {Object|null} 默认搜索引擎
+ */
+function findDefaultEngine(defaults, engineId) {
+  const list = (defaults.engines && defaults.engines.list) || []
+  return list.find((engine) => engine.id === engineId) || null
+}
+
+/**
+ * 映射设置中的搜索引擎列表
+ * 没有搜索引擎设置时原样返回
+ * @param {Object} settings - 设置对象
+ * @param {Function} mapper - (engine, list) => engine
+ * @returns {Object} 新的设置对象
+ */
+function mapEngines(settings, mapper) {
+  if (!settings.engines || !Array.isArray(settings.engines.list)) {
+    return settings
+  }
+
+  const list = settings.engines.list
+  return {
+    ...settings,
+    engines: {
+      ...settings.engines,
+      list: list.map((engine) => mapper(engine, list)),
+    },
+  }
+}
+
+/**
+ * 根据资源内容生成固定的资源ID
+ * @param {Blob} blob - 资源数据
+ * @returns {Promise<string>} 资源ID
+ */
+async function getContentId(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer())
+  const hex = Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  ).join('')
+  return `asset_${hex.slice(0, 32)}`
+}
+
+// 迁移列表，必须按版本号升序排列
+export const migrations = [
+  {
+    version: 1,
+    description: '为内置搜索引擎补充关键词和建议接口',
+    migrate(settings, { defaults }) {
+      return mapEngines(settings, (engine, list) => {
+        const builtIn = findDefaultEngine(defaults, engine.id)
+        if (!builtIn) return engine
+
+        const updated = { ...engine }
+        if (updated.suggestUrl === undefined) {
+          updated.suggestUrl = builtIn.suggestUrl
+        }
+
+        // 用户已把该关键词分配给其他引擎时不再补充
+        const keyword = (builtIn.keyword || '').toLowerCase()
+        const keywordTaken = list.some(
+          (item) =>
+            item.id !== engine.id &&
+            item.keyword &&
+            item.keyword.toLowerCase() === keyword,
+        )
+        if (updated.keyword === undefined && keyword && !keywordTaken) {
+          updated.keyword = builtIn.keyword
+        }
+
+        return updated
+      })
+    },
+  },
+  {
+    version: 2,
+    description: '补齐搜索引擎的字符集、请求方式和 POST 参数字段',
+    migrate(settings) {
+      return mapEngines(settings, (engine) => ({
+        keyword: '',
+        suggestUrl: '',
+        charset: 'UTF-8',
+        method: 'GET',
+        params: [],
+        ...engine,
+      }))
+    },
+  },
+  {
+    version: 3,
+    description: '将上传的壁纸从设置中移入 IndexedDB',
+    async migrate(settings, { defaults, assetStore }) {
+      const wallpaper = settings.wallpaper
+      if (
+        !wallpaper ||
+        typeof wallpaper.imageUrl !== 'string' ||
+        !wallpaper.imageUrl.startsWith('data:')
+      ) {
+        return settings
+      }
+
+      // 资源ID由图片内容决定，重复迁移时覆盖同一条记录，不会留下无人引用的资源
+      const response = await fetch(wallpaper.imageUrl)
+      const blob = await response.blob()
+      const assetId = await assetStore.put(blob, {}, await getContentId(blob))
+
+      return {
+        ...settings,
+        wallpaper: {
+          ...wallpaper,
+          imageUrl: defaults.wallpaper.imageUrl,
+          assetId,
+        },
+      }
+    },
+  },
+  {
+    version: 4,
+    description: '将已上传的壁纸加入壁纸库',
+    migrate(settings) {
+      const wallpaper = settings.wallpaper
+      if (!wallpaper || !('assetId' in wallpaper)) return settings
+
+      const { assetId, ...rest } = wallpaper
+      const library = [...(rest.library || [])]
+      let currentId = rest.currentId || null
+
+      if (assetId) {
+        const item = {
+          id: `wallpaper_${assetId}`,
+          assetId,
+          name: '',
+          favorite: false,
+          addedAt: Date.now(),
+        }
+        library.push(item)
+        currentId = item.id
+      }
+
+      return {
+        ...settings,
+        wallpaper: { ...rest, library, currentId },
+      }
+    },
+  },
+]
+
+// 当前设置结构版本
+export const CURRENT_SCHEMA_VERSION = migrations[migrations.length - 1].version
+
+/**
+ * 获取设置数据的结构版本
+ * 引入版本号之前保存的数据视为版本 0
+ * @param {Object} settings - 设置对象
+ * @returns {number} 结构版本
+ */
+export function getSchemaVersion(settings) {
+  return Number.isInteger(settings && settings.schemaVersion)
+    ? settings.schemaVersion
+    : 0
+}
+
+/**
+ * 依次执行尚未应用的迁移
+ * @param {Object} settings - 存储中的设置对象
+ * @param {Object} context - 迁移上下文
+ * @param {Object} context.defaults - 默认设置
+ * @param {Object} context.assetStore - 资源存储
+ * @returns {Promise<Object>} { settings, changed, fromVersion, toVersion }
+ * @throws {Error} 某个迁移失败时抛出，原设置对象不会被修改
+ */
+export async function migrateSettings(settings, context) {
+  const fromVersion = getSchemaVersion(settings)
+  // 来自更高版本的数据（例如扩展被降级）保持不变
+  if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+    return {
+      settings,
+      changed: false,
+      fromVersion,
+      toVersion: fromVersion,
+    }
+  }
+
+  let migrated = structuredClone(settings)
+  for (const migration of migrations) {
+    if (migration.version <= fromVersion) continue
+
+    try {
+      migrated = await migration.migrate(migrated, context)
+    } catch (error) {
+      throw new Error(
+        `设置迁移 ${migration.version}（${migration.description}）失败: ${error.message}`,
+      )
+    }
+    migrated.schemaVersion = migration.version
+  }
+
+  return {
+    settings: migrated,
+    changed: true,
+    fromVersion,
+    toVersion: CURRENT_SCHEMA_VERSION,
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * 地址识别模块
+ * 负责判断搜索框输入是否为可直接访问的网址
+ */
+
+// 可直接访问的网页协议
+const WEB_SCHEMES = ['http', 'https', 'ftp']
+
+// 浏览器内部页面协议，需要通过 chrome.tabs API 打开
+const BROWSER_SCHEMES = [
+  'about',
+  'chrome',
+  'edge',
+  'chrome-extension',
+  'extension',
+  'view-source',
+  'file',
+]
+
+// 常见通用顶级域名；两个字母的国家和地区域名另行判断
+const COMMON_TLDS = new Set([
+  'com',
+  'net',
+  'org',
+  'edu',
+  'gov',
+  'mil',
+  'int',
+  'info',
+  'biz',
+  'name',
+  'pro',
+  'dev',
+  'app',
+  'io',
+  'xyz',
+  'top',
+  'site',
+  'online',
+  'tech',
+  'store',
+  'blog',
+  'cloud',
+  'wiki',
+  'link',
+  'live',
+  'news',
+  'shop',
+  'vip',
+  'club',
+  'fun',
+  'ltd',
+  'work',
+  'art',
+  'design',
+  'page',
+  'local',
+  'test',
+  'localhost',
+])
+
+// 与文件扩展名同名的两个字母后缀，作为普通搜索词处理（例如 node.js）
+const FILE_EXTENSIONS = new Set([
+  'js',
+  'ts',
+  'py',
+  'rb',
+  'rs',
+  'go',
+  'md',
+  'sh',
+  'cs',
+  'db',
+  'ps',
+  'so',
+  'gz',
+])
+
+/**
+ * 判断主机名是否为 IPv4 地址
+ * @param {string} hostname - 主机名
+ * @returns {boolean}
+ */
+function isIPv4(hostname) {
+  const parts = hostname.split('.')
+  return (
+    parts.length === 4 &&
+    parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)
+  )
+}
+
+/**
+ * 判断主机名是否像一个可访问的域名
+ * @param {string} hostname - 主机名（已由 URL 解析为小写和 punycode）
+ * @returns {boolean}
+ */
+function isLikelyDomain(hostname) {
+  const labels = hostname.split('.')
+  if (labels.length < 2 || labels.some((label) => label === '')) {
+    return false
+  }
+
+  const tld = labels[labels.length - 1]
+  if (tld.startsWith('xn--') || COMMON_TLDS.has(tld)) {
+    return true
+  }
+
+  return /^[a-z]{2}$/.test(tld) && !FILE_EXTENSIONS.has(tld)
+}
+
+/**
+ * 判断输入是否为浏览器内部页面地址
+ * @param {string} url - 地址
+ * @returns {boolean}
+ */
+export function isBrowserUrl(url) {
+  const match = url.match(/^([a-z][a-z0-9+.-]*):/i)
+  return !!match && BROWSER_SCHEMES.includes(match[1].toLowerCase())
+}
+
+/**
+ * 将搜索框输入解析为可直接访问的地址
+ * 支持完整网址、裸域名、localhost、IP[:端口] 以及 about:/chrome: 等内部页面
+ * @param {string} input - 搜索框输入
+ * @returns {string|null} 可访问的地址，不是地址时返回 null
+ */
+export function resolveNavigationUrl(input) {
+  const text = input.trim()
+  // 含空白字符的输入一律视为搜索
+  if (!text || /\s/.test(text)) return null
+
+  // host:port 形式（例如 localhost:3000）看起来像协议，需要先判断
+  const hostPort = /^[^/:?#]+:\d{1,5}([/?#].*)?$/.test(text)
+
+  const schemeMatch = text.match(/^([a-z][a-z0-9+.-]*):/i)
+  if (schemeMatch && !hostPort) {
+    const scheme = schemeMatch[1].toLowerCase()
+
+    if (BROWSER_SCHEMES.includes(scheme)) {
+      return text
+    }
+
+    if (WEB_SCHEMES.includes(scheme)) {
+      try {
+        return new URL(text).href
+      } catch (error) {
+        return null
+      }
+    }
+
+    return null
+  }
+
+  let url
+  try {
+    url = new URL(`http://${text}`)
+  } catch (error) {
+    return null
+  }
+
+  // 带有用户信息的输入（例如 a@b.com）更可能是邮箱，作为搜索处理
+  if (url.username || url.password) return null
+
+  // URL 会把 "3.14" 之类的输入规范化为 IP，因此用原始输入判断 IPv4
+  const rawHost = text.split(/[/?#]/)[0].replace(/:\d+$/, '')
+  const { hostname } = url
+  if (
+    hostname === 'localhost' ||
+    isIPv4(rawHost) ||
+    hostname.startsWith('[') ||
+    isLikelyDomain(hostname)
+  ) {
+    return url.href
+  }
+
+  return null
+}
@@ -0,0 +1,177 @@
+/**
+ * 地址栏关键词模块
+ * 在地址栏输入扩展关键词后，使用已保存的搜索引擎（支持引擎关键词前缀）进行搜索
+ * 运行于后台 Service Worker，与新标签页共用 tabExtensionSettings 存储
+ */
+import storageManager from './storage.js'
+import historyManager from './history.js'
+import { parseKeyword } from './keywords.js'
+import { buildSearchTabUrl } from './post-search.js'
+
+class Omnibox {
+  constructor() {
+    this.maxSuggestions = 6
+    this.init()
+  }
+
+  /**
+   * 注册地址栏事件
+   * Service Worker 中的事件监听必须在脚本顶层同步注册
+   */
+  init() {
+    chrome.omnibox.onInputStarted.addListener(() => {
+      this.updateDefaultSuggestion('')
+    })
+
+    chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+      this.handleInputChanged(text, suggest)
+    })
+
+    chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+      this.handleInputEntered(text, disposition)
+    })
+  }
+
+  /**
+   * 读取搜索引擎设置
+   * @returns {Promise<Object>} { engines, defaultEngine }
+   */
+  async loadEngines() {
+    const settings = await storageManager.getCategory('engines')
+    const engines = settings.list || []
+    const defaultEngine =
+      engines.find((engine) => engine.id === settings.default) ||
+      engines[0] ||
+      null
+
+    return { engines, defaultEngine }
+  }
+
+  /**
+   * 解析地址栏输入
+   * @param {string} text - 关键词之后的输入
+   * @returns {Promise<Object>} { engine, query, prefix, engines }
+   */
+  async resolveInput(text) {
+    const { engines, defaultEngine } = await this.loadEngines()
+    const matched = parseKeyword(text, engines)
+
+    if (matched) {
+      return { ...matched, engines }
+    }
+
+    return { engine: defaultEngine, query: text.trim(), prefix: '', engines }
+  }
+
+  /**
+   * 更新默认建议（回车时执行的操作）
+   * @param {string} text - 关键词之后的输入
+   */
+  async updateDefaultSuggestion(text) {
+    try {
+      const { engine, query } = await this.resolveInput(text)
+      const name = engine ? escapeXml(engine.name) : '默认搜索引擎'
+
+      chrome.omnibox.setDefaultSuggestion({
+        description: query
+          ? `使用 ${name} 搜索 <match>${escapeXml(query)}</match>`
+          : `使用 ${name} 搜索 <dim>（输入 "关键词 内容" 可切换搜索引擎）</dim>`,
+      })
+    } catch (error) {
+      console.error('Failed to update omnibox suggestion:', error)
+    }
+  }
+
+  /**
+   * 处理输入变化，提供搜索引擎和搜索历史建议
+   * @param {string} text - 关键词之后的输入
+   * @param {Function} suggest - 建议回调
+   */
+  async handleInputChanged(text, suggest) {
+    this.updateDefaultSuggestion(text)
+
+    try {
+      const { engine, query, prefix, engines } = await this.resolveInput(text)
+      const suggestions = []
+
+      // 尚未输入完整关键词时，提示可用的搜索引擎
+      const typed = text.trim().replace(/^!/, '').toLowerCase()
+      if (!prefix && typed && !/\s/.test(text.trim())) {
+        engines
+          .filter(
+            (item) =>
+              item.keyword && item.keyword.toLowerCase().startsWith(typed),
+          )
+          .forEach((item) => {
+            suggestions.push({
+              content: `${item.keyword} `,
+              description: `${escapeXml(item.name)} <dim>（关键词 ${escapeXml(
+                item.keyword,
+              )}）</dim>`,
+            })
+          })
+      }
+
+      // 搜索历史
+      const entries = await historyManager.getEntries()
+      historyManager
+        .match(entries, query, this.maxSuggestions)
+        .filter((entry) => entry.query !== query)
+        .forEach((entry) => {
+          suggestions.push({
+            content: `${prefix}${entry.query}`,
+            description: `<match>${escapeXml(entry.query)}</match> <dim>- ${
+              engine ? escapeXml(engine.name) : ''
+            } 搜索历史</dim>`,
+          })
+        })
+
+      suggest(suggestions.slice(0, this.maxSuggestions))
+    } catch (error) {
+      console.error('Failed to get omnibox suggestions:', error)
+      suggest([])
+    }
+  }
+
+  /**
+   * 执行搜索
+   * @param {string} text - 关键词之后的输入
+   * @param {string} disposition - 打开方式 (currentTab | newForegroundTab | newBackgroundTab)
+   */
+  async handleInputEntered(text, disposition) {
+    try {
+      const { engine, query } = await this.resolveInput(text)
+      if (!engine || !query) return
+
+      await historyManager.add(query, engine.id)
+
+      const url = buildSearchTabUrl(engine, query)
+      if (disposition === 'currentTab') {
+        await chrome.tabs.update({ url })
+      } else {
+        await chrome.tabs.create({
+          url,
+          active: disposition === 'newForegroundTab',
+        })
+      }
+    } catch (error) {
+      console.error('Failed to perform omnibox search:', error)
+    }
+  }
+}
+
+/**
+ * 转义地址栏建议描述中的 XML 特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+export default Omnibox
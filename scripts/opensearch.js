@@ -0,0 +1,230 @@
+/**
+ * OpenSearch 导入模块
+ * 负责把 OpenSearch 描述文档 (XML) 转换为搜索引擎对象
+ */
+import { normalizeCharset } from './url-template.js'
+
+// 建议接口的 MIME 类型
+const SUGGESTIONS_TYPE = 'application/x-suggestions+json'
+
+// 描述文档自身地址的 MIME 类型，导入时忽略
+const DESCRIPTION_TYPE = 'application/opensearchdescription+xml'
+
+// 已处理或只起说明作用的元素，其余元素会出现在导入报告中
+const KNOWN_ELEMENTS = [
+  'ShortName',
+  'LongName',
+  'Description',
+  'Tags',
+  'Contact',
+  'Developer',
+  'Attribution',
+  'SyndicationRight',
+  'AdultContent',
+  'Language',
+  'OutputEncoding',
+  'Query',
+  'Url',
+  'Image',
+  'InputEncoding',
+]
+
+/**
+ * 获取指定名称的子元素（忽略命名空间）
+ * @param {Element} parent - 父元素
+ * @param {string} name - 元素名称
+ * @returns {Array<Element>} 子元素列表
+ */
+function childElements(parent, name) {
+  return [...parent.children].filter((element) => element.localName === name)
+}
+
+/**
+ * 获取子元素的文本内容
+ * @param {Element} parent - 父元素
+ * @param {string} name - 元素名称
+ * @returns {string} 文本内容，不存在时返回空字符串
+ */
+function childText(parent, name) {
+  const [element] = childElements(parent, name)
+  return element ? element.textContent.trim() : ''
+}
+
+/**
+ * 将 OpenSearch URL 模板转换为扩展支持的URL模板
+ * {searchTerms} 和 {inputEncoding} 原样保留，其他参数按默认值填充
+ * @param {string} template - URL 模板
+ * @param {Array} unmapped - 无法映射的字段列表（会被追加）
+ * @param {string} label - 报告中使用的字段名称
+ * @param {boolean} [requireQuery] - 是否必须包含 {searchTerms}
+ * @returns {string|null} 转换后的URL，缺少 {searchTerms} 时返回 null
+ */
+function convertTemplate(template, unmapped, label, requireQuery = true) {
+  if (requireQuery && !template.includes('{searchTerms}')) {
+    unmapped.push(`${label}: 模板缺少 {searchTerms} 参数`)
+    return null
+  }
+
+  return template.replace(/\{([^}]+)\}/g, (match, param) => {
+    const optional = param.endsWith('?')
+    const name = optional ? param.slice(0, -1) : param
+
+    switch (name) {
+      case 'searchTerms':
+      case 'inputEncoding':
+        return `{${name}}`
+      case 'outputEncoding':
+        return 'UTF-8'
+      case 'language':
+        return '*'
+      case 'startIndex':
+      case 'startPage':
+      case 'count':
+        return ''
+      default:
+        if (!optional) {
+          unmapped.push(`${label}: 不支持的必填参数 {${name}}`)
+        }
+        return ''
+    }
+  })
+}
+
+/**
+ * 选择最合适的图标（优先 16x16，其次第一个）
+ * @param {Array<Element>} images - Image 元素列表
+ * @returns {string} 图标URL
+ */
+function pickIcon(images) {
+  const preferred =
+    images.find(
+      (image) =>
+        image.getAttribute('width') === '16' &&
+        image.getAttribute('height') === '16',
+    ) || images[0]
+
+  return preferred ? preferred.textContent.trim() : ''
+}
+
+/**
+ * 解析 OpenSearch 描述文档
+ * @param {string} xmlText - XML 文本
+ * @returns {Object} { engine, unmapped }
+ *   engine 为可传给 Engines.addEngine() 的对象，unmapped 为无法映射的字段说明
+ * @throws {Error} XML 无效或缺少可用的搜索URL时抛出
+ */
+export function parseOpenSearchDescription(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('XML 格式无效')
+  }
+
+  const root = doc.documentElement
+  if (!root || root.localName !== 'OpenSearchDescription') {
+    throw new Error('不是 OpenSearch 描述文档（缺少 OpenSearchDescription）')
+  }
+
+  const unmapped = []
+  const inputEncoding = childText(root, 'InputEncoding')
+  let charset = normalizeCharset(inputEncoding)
+  if (!charset) {
+    unmapped.push(
+      `InputEncoding: 不支持 ${inputEncoding} 编码，将按 UTF-8 处理`,
+    )
+    charset = 'UTF-8'
+  }
+
+  // 名称
+  let name = childText(root, 'ShortName')
+  if (!name) {
+    name = childText(root, 'LongName')
+    unmapped.push('ShortName: 缺失，已使用 LongName 代替')
+  }
+
+  // 搜索URL与建议URL
+  let url = ''
+  let requestMethod = 'GET'
+  let params = []
+  let suggestUrl = ''
+  childElements(root, 'Url').forEach((element) => {
+    const type = element.getAttribute('type') || ''
+    const rel = element.getAttribute('rel') || 'results'
+    const method = (element.getAttribute('method') || 'GET').toUpperCase()
+    const template = element.getAttribute('template') || ''
+    const label = `Url (${type || '未指定类型'})`
+
+    const isResults = type === 'text/html' && rel === 'results'
+    const isSuggestions =
+      type === SUGGESTIONS_TYPE && ['results', 'suggestions'].includes(rel)
+
+    if (type === DESCRIPTION_TYPE) return
+
+    if (!isResults && !isSuggestions) {
+      unmapped.push(`${label}: 不支持的类型或用途 (rel="${rel}")`)
+      return
+    }
+
+    // 只有搜索结果支持 POST 提交
+    if (method !== 'GET' && !(isResults && method === 'POST')) {
+      unmapped.push(`${label}: 不支持 ${method} 请求方式`)
+      return
+    }
+
+    const paramElements = childElements(element, 'Param')
+    if (method === 'GET' && paramElements.length > 0) {
+      unmapped.push(`${label}: GET 请求不支持 Param 参数`)
+    }
+
+    if (isResults && !url && method === 'POST') {
+      const postParams = paramElements.map((param) => ({
+        name: param.getAttribute('name') || '',
+        value:
+          convertTemplate(
+            param.getAttribute('value') || '',
+            unmapped,
+            label,
+            false,
+          ) || '',
+      }))
+      const hasQuery = [template, ...postParams.map((p) => p.value)].some(
+        (value) => value.includes('{searchTerms}'),
+      )
+
+      if (!hasQuery) {
+        unmapped.push(`${label}: 模板和 Param 参数均缺少 {searchTerms} 参数`)
+      } else {
+        url = convertTemplate(template, unmapped, label, false)
+        requestMethod = 'POST'
+        params = postParams.filter((param) => param.name)
+      }
+    } else if (isResults && !url) {
+      url = convertTemplate(template, unmapped, label) || ''
+    } else if (isSuggestions && !suggestUrl) {
+      suggestUrl = convertTemplate(template, unmapped, label) || ''
+    }
+  })
+
+  if (!url) {
+    throw new Error('文档中没有可用的搜索URL (type="text/html")')
+  }
+
+  // 其他无法识别的元素
+  for (const element of root.children) {
+    if (!KNOWN_ELEMENTS.includes(element.localName)) {
+      unmapped.push(`${element.tagName}: 无法识别的元素`)
+    }
+  }
+
+  return {
+    engine: {
+      name,
+      url,
+      method: requestMethod,
+      params,
+      suggestUrl,
+      charset,
+      icon: pickIcon(childElements(root, 'Image')),
+    },
+    unmapped,
+  }
+}
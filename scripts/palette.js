@@ -0,0 +1,344 @@
+/**
+ * 壁纸配色模块
+ * 从壁纸中提取主色、强调色和平均亮度，并按 WCAG 对比度选择时钟文字颜色
+ */
+import { isHexColor } from './backgrounds.js'
+
+// 文字与背景的最低对比度（WCAG AA 普通文字）
+export const MIN_CONTRAST_RATIO = 4.5
+
+// 自动加深遮罩时的透明度上限，与遮罩透明度滑块一致
+export const MAX_AUTO_OVERLAY = 0.8
+
+// 自动选择的浅色和深色文字，与 theme.css 中的 data-foreground 样式一致
+export const FOREGROUND_COLORS = {
+  light: '#f5f5f5',
+  dark: '#1d1d1f',
+}
+
+// 自动加深遮罩的步长
+const OVERLAY_STEP = 0.05
+
+// 配色中保留的颜色数量
+const PALETTE_SIZE = 5
+
+// 强调色至少需要占据的比例，避免选中零星的噪点
+const MIN_ACCENT_SHARE = 0.01
+
+// 饱和度和灰度滤镜使用的亮度系数，与 CSS 滤镜规范一致
+const SATURATE_WEIGHTS = [0.213, 0.715, 0.072]
+const GRAYSCALE_WEIGHTS = [0.2126, 0.7152, 0.0722]
+
+// 估算暗角平均覆盖程度时每个方向的采样数
+const VIGNETTE_SAMPLES = 20
+
+/**
+ * 解析 #rrggbb 颜色
+ * @param {string} color - 颜色值，无效时使用黑色
+ * @returns {Array<number>} [r, g, b] (0-255)
+ */
+function parseHex(color) {
+  const hex = isHexColor(color) ? color : '#000000'
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16))
+}
+
+/**
+ * 将 RGB 转换为 #rrggbb 颜色
+ * @param {Array<number>} rgb - [r, g, b] (0-255)
+ * @returns {string} 颜色值
+ */
+function toHex(rgb) {
+  return (
+    '#' +
+    rgb
+      .map((value) =>
+        Math.min(255, Math.max(0, Math.round(value)))
+          .toString(16)
+          .padStart(2, '0'),
+      )
+      .join('')
+  )
+}
+
+/**
+ * 计算 RGB 的相对亮度（WCAG 2.x 定义）
+ * @param {Array<number>} rgb - [r, g, b] (0-255)
+ * @returns {number} 亮度 (0-1)
+ */
+function getRgbLuminance(rgb) {
+  const [r, g, b] = rgb.map((value) => {
+    const channel = value / 255
+    return channel <= 0.03928
+      ? channel / 12.92
+      : Math.pow((channel + 0.055) / 1.055, 2.4)
+  })
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b
+}
+
+/**
+ * 计算颜色的相对亮度
+ * @param {string} color - #rrggbb 格式的颜色
+ * @returns {number} 亮度 (0-1)
+ */
+export function getRelativeLuminance(color) {
+  return getRgbLuminance(parseHex(color))
+}
+
+/**
+ * 计算两个颜色的对比度
+ * @param {string} foreground - 文字颜色
+ * @param {string} background - 背景颜色
+ * @returns {number} 对比度 (1-21)
+ */
+export function getContrastRatio(foreground, background) {
+  const a = getRelativeLuminance(foreground)
+  const b = getRelativeLuminance(background)
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05)
+}
+
+/**
+ * 计算半透明颜色叠加到背景上的结果
+ * @param {string} base - 背景颜色
+ * @param {string} color - 叠加的颜色
+ * @param {number} alpha - 叠加颜色的透明度 (0-1)
+ * @returns {string} 叠加后的颜色
+ */
+export function mixColors(base, color, alpha) {
+  const from = parseHex(base)
+  const to = parseHex(color)
+  return toHex(from.map((value, i) => value + (to[i] - value) * alpha))
+}
+
+/**
+ * 汇总采样颜色为配色
+ * @param {Array<Object>} samples - 采样颜色 { rgb, weight }
+ * @returns {Object|null} 配色 { dominant, accent, average, luminance, colors }，没有采样时返回 null
+ */
+function summarize(samples) {
+  const total = samples.reduce((sum, sample) => sum + sample.weight, 0)
+  if (total === 0) return null
+
+  const average = [0, 1, 2].map(
+    (i) =>
+      samples.reduce((sum, sample) => sum + sample.rgb[i] * sample.weight, 0) /
+      total,
+  )
+  const luminance =
+    samples.reduce(
+      (sum, sample) => sum + getRgbLuminance(sample.rgb) * sample.weight,
+      0,
+    ) / total
+
+  const sorted = [...samples].sort((a, b) => b.weight - a.weight)
+
+  // 强调色：兼顾鲜艳程度和所占比例
+  let accent = sorted[0]
+  let accentScore = -1
+  sorted.forEach((sample) => {
+    const share = sample.weight / total
+    if (share < MIN_ACCENT_SHARE) return
+
+    const chroma = (Math.max(...sample.rgb) - Math.min(...sample.rgb)) / 255
+    const score = chroma * Math.sqrt(share)
+    if (score > accentScore) {
+      accent = sample
+      accentScore = score
+    }
+  })
+
+  return {
+    dominant: toHex(sorted[0].rgb),
+    accent: toHex(accent.rgb),
+    average: toHex(average),
+    luminance: Math.round(luminance * 1000) / 1000,
+    colors: sorted.slice(0, PALETTE_SIZE).map((sample) => toHex(sample.rgb)),
+  }
+}
+
+/**
+ * 从像素数据中提取配色
+ * 每个通道量化为 16 级后统计各颜色的像素数，透明像素不计入
+ * @param {Uint8ClampedArray} data - RGBA 像素数据
+ * @returns {Object|null} 配色，见 summarize
+ */
+export function analyzePixels(data) {
+  const buckets = new Map()
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue
+
+    const key =
+      ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4)
+    const bucket = buckets.get(key) || { sum: [0, 0, 0], weight: 0 }
+    bucket.sum[0] += data[i]
+    bucket.sum[1] += data[i + 1]
+    bucket.sum[2] += data[i + 2]
+    bucket.weight++
+    buckets.set(key, bucket)
+  }
+
+  return summarize(
+    Array.from(buckets.values(), ({ sum, weight }) => ({
+      rgb: sum.map((value) => value / weight),
+      weight,
+    })),
+  )
+}
+
+/**
+ * 按 CSS 滤镜规范计算图片调整后的颜色
+ * 依次应用亮度、对比度、饱和度和灰度，顺序与 buildAdjustmentFilter 一致，每一步后截断到 0-255
+ * @param {Array<number>} rgb - [r, g, b] (0-255)
+ * @param {Object} adjustments - { brightness, contrast, saturation, grayscale }，单位为百分比
+ * @returns {Array<number>} 调整后的 [r, g, b]
+ */
+function adjustRgb(rgb, adjustments) {
+  const {
+    brightness = 100,
+    contrast = 100,
+    saturation = 100,
+    grayscale = 0,
+  } = adjustments
+  const clamp = (value) => Math.min(255, Math.max(0, value))
+  // 与灰度按比例混合：amount 为 0 时完全去色，大于 1 时增强饱和度
+  const mixGray = (values, weights, amount) => {
+    const gray = values.reduce((sum, value, i) => sum + value * weights[i], 0)
+    return values.map((value) => clamp(gray + (value - gray) * amount))
+  }
+
+  let result = rgb.map((value) => clamp((value * brightness) / 100))
+  result = result.map((value) =>
+    clamp(((value - 127.5) * contrast) / 100 + 127.5),
+  )
+  result = mixGray(result, SATURATE_WEIGHTS, saturation / 100)
+  return mixGray(result, GRAYSCALE_WEIGHTS, 1 - Math.min(100, grayscale) / 100)
+}
+
+/**
+ * 估算暗角在整个壁纸上的平均不透明度
+ * 暗角从中心 40% 处开始由透明过渡到边角的 strength，与 buildVignette 的渐变一致
+ * @param {number} strength - 暗角强度 (0-100)
+ * @returns {number} 平均不透明度 (0-1)
+ */
+function getVignetteCoverage(strength) {
+  const alpha = Math.min(100, Math.max(0, Number(strength) || 0)) / 100
+  if (alpha === 0) return 0
+
+  let sum = 0
+  for (let i = 0; i < VIGNETTE_SAMPLES; i++) {
+    for (let j = 0; j < VIGNETTE_SAMPLES; j++) {
+      const x = ((i + 0.5) / VIGNETTE_SAMPLES) * 2 - 1
+      const y = ((j + 0.5) / VIGNETTE_SAMPLES) * 2 - 1
+      const distance = Math.hypot(x, y) / Math.SQRT2
+      sum += Math.min(1, Math.max(0, (distance - 0.4) / 0.6))
+    }
+  }
+  return (alpha * sum) / (VIGNETTE_SAMPLES * VIGNETTE_SAMPLES)
+}
+
+/**
+ * 计算图片调整和暗角对配色的影响
+ * 配色按原图提取并缓存，显示时再换算，调整滑块时无需重新解码图片；
+ * 平均亮度按平均颜色亮度的变化比例估算
+ * @param {Object|null} palette - 原图的配色，见 summarize
+ * @param {Object} [adjustments] - 图片调整 { brightness, contrast, saturation, grayscale, vignette }
+ * @returns {Object|null} 调整后的配色
+ */
+export function adjustPalette(palette, adjustments = {}) {
+  if (!palette) return null
+
+  const coverage = getVignetteCoverage(adjustments.vignette)
+  const adjust = (color) =>
+    mixColors(
+      toHex(adjustRgb(parseHex(color), adjustments)),
+      '#000000',
+      coverage,
+    )
+
+  const average = adjust(palette.average)
+  const before = getRelativeLuminance(palette.average)
+  const after = getRelativeLuminance(average)
+  const luminance =
+    before > 0 ? Math.min(1, (palette.luminance * after) / before) : after
+
+  return {
+    dominant: adjust(palette.dominant),
+    accent: adjust(palette.accent),
+    average,
+    luminance: Math.round(luminance * 1000) / 1000,
+    colors: palette.colors.map(adjust),
+  }
+}
+
+/**
+ * 获取纯色、渐变和图案壁纸的配色
+ * 图案的前景只占一小部分面积，按较低的权重计入
+ * @param {Object} settings - 壁纸设置
+ * @returns {Object|null} 配色，见 summarize
+ */
+export function getBackgroundPalette(settings) {
+  const sample = (color, fallback, weight = 1) => ({
+    rgb: parseHex(isHexColor(color) ? color : fallback),
+    weight,
+  })
+
+  switch (settings.type) {
+    case 'gradient':
+      return summarize(
+        ((settings.gradient && settings.gradient.stops) || []).map((stop) =>
+          sample(stop.color, '#000000'),
+        ),
+      )
+    case 'pattern': {
+      const pattern = settings.pattern || {}
+      return summarize([
+        sample(pattern.background, '#1d1d1f', 3),
+        sample(pattern.foreground, '#3a3a3c'),
+      ])
+    }
+    default:
+      return summarize([sample(settings.color, '#1d1d1f')])
+  }
+}
+
+/**
+ * 选择时钟文字颜色，对比度不足时逐步加深遮罩
+ * 按壁纸平均颜色估算文字背后的颜色；遮罩已达上限仍不足时返回对比度最高的组合
+ * @param {string} background - 壁纸的平均颜色
+ * @param {Object} [options] - 遮罩设置
+ * @param {string} [options.overlayColor] - 遮罩颜色
+ * @param {number} [options.overlayOpacity] - 用户设置的遮罩透明度
+ * @param {number} [options.minRatio] - 需要达到的对比度
+ * @returns {Object} { foreground, overlayOpacity, ratio }，foreground 为 'light' | 'dark'
+ */
+export function pickForeground(
+  background,
+  {
+    overlayColor = '#000000',
+    overlayOpacity = 0,
+    minRatio = MIN_CONTRAST_RATIO,
+  } = {},
+) {
+  let best = null
+
+  for (
+    let opacity = overlayOpacity;
+    opacity <= Math.max(overlayOpacity, MAX_AUTO_OVERLAY) + 1e-6;
+    opacity += OVERLAY_STEP
+  ) {
+    const backdrop = mixColors(background, overlayColor, opacity)
+    const candidates = Object.entries(FOREGROUND_COLORS).map(
+      ([foreground, color]) => ({
+        foreground,
+        overlayOpacity: Math.round(opacity * 100) / 100,
+        ratio: getContrastRatio(color, backdrop),
+      }),
+    )
+    const candidate = candidates.reduce((a, b) => (b.ratio > a.ratio ? b : a))
+
+    if (candidate.ratio >= minRatio) return candidate
+    if (!best || candidate.ratio > best.ratio) best = candidate
+  }
+
+  return best
+}
@@ -0,0 +1,206 @@
+/**
+ * POST 搜索模块
+ * 负责解析、校验 POST 搜索引擎的表单参数，并通过生成的表单提交搜索
+ */
+import {
+  expandTemplate,
+  findUnknownPlaceholder,
+  hasQueryPlaceholder,
+  validateTemplate,
+} from './url-template.js'
+
+// 通过新标签页中转提交 POST 请求时使用的地址标记
+const REDIRECT_HASH_PREFIX = '#post='
+
+/**
+ * 判断搜索引擎是否使用 POST 提交
+ * @param {Object} engine - 搜索引擎
+ * @returns {boolean}
+ */
+export function isPostEngine(engine) {
+  return !!engine && (engine.method || 'GET').toUpperCase() === 'POST'
+}
+
+/**
+ * 将 "name=value" 形式的多行文本解析为参数列表
+ * @param {string} text - 每行一个参数
+ * @returns {Array} [{ name, value }]
+ * @throws {Error} 存在缺少参数名的行时抛出
+ */
+export function parseParams(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line !== '')
+    .map((line) => {
+      const index = line.indexOf('=')
+      const name = (index === -1 ? line : line.slice(0, index)).trim()
+      if (!name) {
+        throw new Error(`POST 参数缺少名称: ${line}`)
+      }
+
+      return { name, value: index === -1 ? '' : line.slice(index + 1).trim() }
+    })
+}
+
+/**
+ * 将参数列表格式化为多行文本
+ * @param {Array} params - [{ name, value }]
+ * @returns {string} 每行一个参数
+ */
+export function formatParams(params = []) {
+  return params.map(({ name, value }) => `${name}=${value}`).join('\n')
+}
+
+/**
+ * 校验 POST 搜索引擎的URL和参数
+ * 关键词占位符可以出现在URL或任一参数值中
+ * @param {string} url - 提交地址模板
+ * @param {Array} params - [{ name, value }]
+ * @param {Object} [options] - 校验选项
+ * @param {string} [options.charset] - 字符集
+ * @returns {string|null} 错误信息，校验通过时返回 null
+ */
+export function validatePostEngine(url, params, { charset } = {}) {
+  const urlError = validateTemplate(url, { charset, requireQuery: false })
+  if (urlError) return urlError
+
+  if (!Array.isArray(params)) {
+    return 'POST 参数格式无效'
+  }
+
+  for (const param of params) {
+    if (!param || !param.name || typeof param.name !== 'string') {
+      return 'POST 参数缺少名称'
+    }
+
+    const unknown = findUnknownPlaceholder(param.value || '')
+    if (unknown) {
+      return `POST 参数 ${param.name} 包含无法识别的占位符 {${unknown}}`
+    }
+  }
+
+  const hasQuery =
+    hasQueryPlaceholder(url) ||
+    params.some((param) => hasQueryPlaceholder(param.value || ''))
+  if (!hasQuery) {
+    return 'POST 搜索引擎的URL或参数中必须包含 %s 或 {searchTerms} 作为关键词占位符'
+  }
+
+  return null
+}
+
+/**
+ * 按请求方式校验搜索引擎的URL（及 POST 参数）
+ * @param {Object} engine - 搜索引擎，包含 url、method、params、charset
+ * @returns {string|null} 错误信息，校验通过时返回 null
+ */
+export function validateEngineUrl({ url, method, params, charset }) {
+  const upperMethod = (method || 'GET').toUpperCase()
+  if (!['GET', 'POST'].includes(upperMethod)) {
+    return `不支持 ${method} 请求方式`
+  }
+
+  if (upperMethod === 'POST') {
+    return validatePostEngine(url, params || [], { charset })
+  }
+
+  return validateTemplate(url, { charset })
+}
+
+/**
+ * 构建 POST 搜索请求
+ * @param {Object} engine - 搜索引擎
+ * @param {string} query - 搜索关键词
+ * @returns {Object} { action, params, charset }
+ */
+export function buildPostRequest(engine, query) {
+  const charset = engine.charset || 'UTF-8'
+
+  return {
+    action: expandTemplate(engine.url, query, { charset }),
+    params: (engine.params || []).map(({ name, value }) => ({
+      name,
+      value: expandTemplate(value || '', query, { charset, encode: false }),
+    })),
+    charset,
+  }
+}
+
+/**
+ * 生成并提交 POST 表单
+ * @param {Object} request - buildPostRequest() 返回的请求
+ * @param {string} target - 表单目标，'_self' 或 '_blank'
+ */
+export function submitPostRequest({ action, params, charset }, target) {
+  const form = document.createElement('form')
+  form.method = 'POST'
+  form.action = action
+  form.target = target
+  form.acceptCharset = charset
+  form.style.display = 'none'
+
+  params.forEach(({ name, value }) => {
+    const input = document.createElement('input')
+    input.type = 'hidden'
+    input.name = name
+    input.value = value
+    form.appendChild(input)
+  })
+
+  document.body.appendChild(form)
+  form.submit()
+  form.remove()
+}
+
+/**
+ * 生成通过新标签页中转提交 POST 请求的地址
+ * chrome.tabs.create 只能打开地址，因此先打开扩展页面再由页面提交表单
+ * @param {Object} request - buildPostRequest() 返回的请求
+ * @returns {string} 扩展页面地址
+ */
+export function buildPostRedirectUrl(request) {
+  return (
+    chrome.runtime.getURL('newtab.html') +
+    REDIRECT_HASH_PREFIX +
+    encodeURIComponent(JSON.stringify(request))
+  )
+}
+
+/**
+ * 生成可直接在标签页中打开的搜索地址
+ * GET 搜索引擎返回展开后的URL，POST 搜索引擎返回中转页面地址
+ * @param {Object} engine - 搜索引擎
+ * @param {string} query - 搜索关键词
+ * @returns {string} 标签页地址
+ */
+export function buildSearchTabUrl(engine, query) {
+  if (isPostEngine(engine)) {
+    return buildPostRedirectUrl(buildPostRequest(engine, query))
+  }
+
+  return expandTemplate(engine.url, query, { charset: engine.charset })
+}
+
+/**
+ * 读取地址中的中转 POST 请求
+ * @param {string} hash - location.hash
+ * @returns {Object|null} 请求对象，没有或格式无效时返回 null
+ */
+export function readPostRedirect(hash) {
+  if (!hash || !hash.startsWith(REDIRECT_HASH_PREFIX)) return null
+
+  try {
+    const request = JSON.parse(
+      decodeURIComponent(hash.slice(REDIRECT_HASH_PREFIX.length)),
+    )
+    const url = new URL(request.action)
+    if (!['http:', 'https:'].includes(url.protocol)) return null
+    if (!Array.isArray(request.params)) return null
+
+    return request
+  } catch (error) {
+    console.error('Failed to read POST redirect:', error)
+    return null
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * 网络图片模块
+ * 下载网络图片并校验类型和大小；支持条件请求，定期更新时跳过未变化的图片
+ */
+
+// 支持的图片类型
+export const REMOTE_IMAGE_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/gif',
+  'image/avif',
+]
+
+// 网络图片大小上限
+export const MAX_REMOTE_SIZE = 20 * 1024 * 1024
+
+// 下载超时时间
+const FETCH_TIMEOUT = 30 * 1000
+
+/**
+ * 校验图片网址
+ * @param {string} url - 图片网址
+ * @returns {string|null} 错误信息，校验通过时返回 null
+ */
+export function validateImageUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return '图片网址不能为空'
+  }
+
+  try {
+    const parsed = new URL(url)
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return '图片网址必须以 http:// 或 https:// 开头'
+    }
+  } catch (error) {
+    return '图片网址格式无效'
+  }
+
+  return null
+}
+
+/**
+ * 根据网址生成壁纸名称
+ * @param {string} url - 图片网址
+ * @returns {string} 文件名，网址中没有文件名时使用域名
+ */
+export function getImageName(url) {
+  const { hostname, pathname } = new URL(url)
+  const segment = pathname.split('/').filter(Boolean).pop()
+
+  try {
+    return segment ? decodeURIComponent(segment) : hostname
+  } catch (error) {
+    return segment
+  }
+}
+
+/**
+ * 获取响应的图片类型
+ * @param {Response} response - 响应
+ * @returns {string} 小写的 MIME 类型，不含参数
+ */
+function getContentType(response) {
+  const header = response.headers.get('content-type') || ''
+  return header.split(';')[0].trim().toLowerCase()
+}
+
+/**
+ * 读取响应内容，超过大小上限时中止
+ * 服务器可能不返回或返回错误的 Content-Length，因此边读边统计
+ * @param {Response} response - 响应
+ * @param {number} maxSize - 大小上限（字节）
+ * @returns {Promise<Array<Uint8Array>>} 数据块
+ */
+async function readBody(response, maxSize) {
+  const reader = response.body.getReader()
+  const chunks = []
+  let size = 0
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    size += value.byteLength
+    if (size > maxSize) {
+      await reader.cancel()
+      throw new Error(`图片大小不能超过${Math.round(maxSize / 1024 / 1024)}MB`)
+    }
+    chunks.push(value)
+  }
+
+  return chunks
+}
+
+/**
+ * 下载网络图片
+ * 传入上次下载时的 ETag 或 Last-Modified 时发送条件请求
+ * @param {string} url - 图片网址
+ * @param {Object} [options] - 下载选项
+ * @param {string} [options.etag] - 上次下载的 ETag
+ * @param {string} [options.lastModified] - 上次下载的 Last-Modified
+ * @param {number} [options.maxSize] - 大小上限（字节）
+ * @param {number} [options.timeout] - 超时时间（毫秒）
+ * @returns {Promise<Object>} { blob, etag, lastModified }，图片未变化时返回 { notModified: true }
+ * @throws {Error} 网址无效、下载失败、类型不支持或超过大小上限时抛出
+ */
+export async function fetchRemoteImage(
+  url,
+  {
+    etag = null,
+    lastModified = null,
+    maxSize = MAX_REMOTE_SIZE,
+    timeout = FETCH_TIMEOUT,
+  } = {},
+) {
+  const urlError = validateImageUrl(url)
+  if (urlError) {
+    throw new Error(urlError)
+  }
+
+  const headers = {}
+  if (etag) headers['If-None-Match'] = etag
+  if (lastModified) headers['If-Modified-Since'] = lastModified
+
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+
+  try {
+    // 由缓存条件自行判断是否变化，不使用浏览器的 HTTP 缓存
+    const response = await fetch(url, {
+      headers,
+      cache: 'no-store',
+      signal: controller.signal,
+    })
+
+    if (response.status === 304) {
+      return { notModified: true }
+    }
+    if (!response.ok) {
+      throw new Error(`下载图片失败 (HTTP ${response.status})`)
+    }
+
+    const type = getContentType(response)
+    if (!REMOTE_IMAGE_TYPES.includes(type)) {
+      throw new Error(
+        type ? `不支持的图片类型 ${type}` : '网址返回的内容不是图片',
+      )
+    }
+
+    const length = Number(response.headers.get('content-length'))
+    if (length > maxSize) {
+      throw new Error(`图片大小不能超过${Math.round(maxSize / 1024 / 1024)}MB`)
+    }
+
+    const chunks = await readBody(response, maxSize)
+    return {
+      blob: new Blob(chunks, { type }),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('下载图片超时')
+    }
+    // fetch 在网络错误时抛出 TypeError
+    if (error instanceof TypeError) {
+      throw new Error('无法连接到图片网址')
+    }
+    throw error
+  } finally {
+    clearTimeout(timer)
+  }
+}
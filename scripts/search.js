@@ -1,8 +1,19 @@
 /**
  * 搜索模块
- * 负责处理搜索功能、搜索引擎切换和Tab键轮播
+ * 负责处理搜索功能、网址直达、多引擎同时搜索、搜索引擎切换和Tab键轮播
  */
 import storageManager from './storage.js'
+import historyManager from './history.js'
+import Suggestions from './suggestions.js'
+import { parseKeyword } from './keywords.js'
+import { resolveNavigationUrl, isBrowserUrl } from './navigation.js'
+import { expandTemplate } from './url-template.js'
+import {
+  isPostEngine,
+  buildPostRequest,
+  submitPostRequest,
+  buildSearchTabUrl,
+} from './post-search.js'
 
 class Search {
   constructor() {
@@ -10,9 +21,25 @@ class Search {
     this.searchContainer = document.getElementById('search-container')
     this.searchEngineIcon = document.getElementById('search-engine-icon')
     this.engines = []
+    this.groups = [] // 搜索引擎组 { id, name, keyword, engines: [引擎ID] }
+    this.defaultGroupId = null // Ctrl+Enter 使用的搜索引擎组
     this.currentEngineIndex = 0
     this.tabSwitchEnabled = true
+    this.suggestionsEnabled = true
     this.openIn = 'new-tab'
+    this.historyEntries = []
+    this.recallIndex = -1 // 方向键回溯历史时的位置，-1 表示未回溯
+    this.recallDraft = '' // 开始回溯前用户输入的内容
+    this.keywordPrefix = '' // 当前输入中的关键词前缀，例如 "!bd "
+    this.suggestions = new Suggestions({
+      onSelect: (text) => {
+        this.searchInput.value = this.keywordPrefix + text
+        this.performSearch()
+      },
+      onDelete: (query) => {
+        this.deleteHistoryEntry(query)
+      },
+    })
     this.init()
   }
 
@@ -51,10 +78,18 @@ class Search {
         this.currentEngineIndex = 0 // 如果没找到，使用第一个
       }
 
+      // 加载搜索引擎组
+      this.groups = enginesSettings.groups || []
+      this.defaultGroupId = enginesSettings.defaultGroup || null
+
       // 加载常规设置
       const generalSettings = await storageManager.getCategory('general')
       this.tabSwitchEnabled = generalSettings.tabSwitch !== false // 默认为true
+      this.suggestionsEnabled = generalSettings.suggestions !== false // 默认为true
       this.openIn = generalSettings.openIn || 'new-tab'
+
+      // 加载搜索历史
+      this.historyEntries = await historyManager.getEntries()
     } catch (error) {
       console.error('Failed to load engine settings:', error)
     }
@@ -68,47 +103,270 @@ class Search {
     if (this.searchInput) {
       // Enter键搜索
       this.searchInput.addEventListener('keydown', (e) => {
+        if (e.isComposing) return
+
         if (e.key === 'Enter') {
-          this.performSearch()
+          // Shift+Enter 强制搜索，不识别网址；Ctrl+Enter 使用默认搜索引擎组
+          this.performSearch({
+            forceSearch: e.shiftKey,
+            fanout: e.ctrlKey || e.metaKey,
+          })
         } else if (e.key === 'Tab' && this.tabSwitchEnabled) {
           e.preventDefault()
           this.switchEngine()
+        } else if (
+          (e.key === 'ArrowDown' || e.key === 'ArrowUp') &&
+          this.suggestions.isOpen()
+        ) {
+          // 上下方向键在建议列表中移动
+          e.preventDefault()
+          this.searchInput.value =
+            this.keywordPrefix +
+            this.suggestions.move(e.key === 'ArrowDown' ? 1 : -1)
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          // 建议列表未展开时，方向键回溯搜索历史
+          e.preventDefault()
+          this.recallHistory(e.key === 'ArrowUp' ? 1 : -1)
+        } else if (e.key === 'Escape') {
+          this.suggestions.cancel()
+          this.suggestions.hide()
         }
       })
 
+      // 输入时预览关键词对应的搜索引擎并请求搜索建议
+      this.searchInput.addEventListener('input', () => {
+        this.recallIndex = -1
+        this.updateEngineIcon()
+        this.requestSuggestions()
+      })
+
       // 输入框获得焦点时高亮
       this.searchInput.addEventListener('focus', () => {
         this.searchContainer.classList.add('focused')
+        this.requestSuggestions()
       })
 
       // 输入框失去焦点时取消高亮
       this.searchInput.addEventListener('blur', () => {
         this.searchContainer.classList.remove('focused')
+        this.suggestions.cancel()
+        this.suggestions.hide()
       })
     }
   }
 
+  /**
+   * 请求搜索建议
+   */
+  requestSuggestions() {
+    if (!this.suggestionsEnabled) return
+
+    const { engine, query, prefix } = this.resolveQuery()
+    this.keywordPrefix = prefix
+    this.suggestions.request(query, engine, this.historyEntries)
+  }
+
+  /**
+   * 解析搜索框输入
+   * 输入以关键词开头时（如 "!bd 天气"、"bd 天气"）仅本次使用对应搜索引擎或搜索引擎组
+   * 输入以 ? 开头时强制作为搜索词处理，不识别为网址
+   * @returns {Object} { engine, group, query, prefix, keywordMatched, forceSearch }
+   */
+  resolveQuery() {
+    const input = this.searchInput ? this.searchInput.value : ''
+    const forceMatch = input.match(/^\s*\?/)
+    const forcePrefix = forceMatch ? forceMatch[0] : ''
+    const text = input.slice(forcePrefix.length)
+
+    const matched = parseKeyword(text, this.engines, this.groups)
+    if (matched) {
+      return {
+        ...matched,
+        // 搜索引擎组以组内第一个引擎作为图标和建议来源
+        engine:
+          matched.engine || this.getGroupEngines(matched.group)[0] || null,
+        prefix: forcePrefix + matched.prefix,
+        keywordMatched: true,
+        forceSearch: !!forceMatch,
+      }
+    }
+
+    return {
+      engine: this.getCurrentEngine(),
+      group: null,
+      query: text,
+      prefix: forcePrefix,
+      keywordMatched: false,
+      forceSearch: !!forceMatch,
+    }
+  }
+
   /**
    * 执行搜索
+   * 输入为网址时直接访问，除非使用了关键词、? 前缀、Shift+Enter 或 Ctrl+Enter
+   * @param {Object} [options] - 搜索选项
+   * @param {boolean} [options.forceSearch] - 是否强制搜索
+   * @param {boolean} [options.fanout] - 是否使用默认搜索引擎组同时搜索
    */
-  performSearch() {
-    const query = this.searchInput.value.trim()
+  async performSearch(options = {}) {
+    const resolved = this.resolveQuery()
+    const currentEngine = resolved.engine
+    const query = resolved.query.trim()
     if (!query) return
 
-    const currentEngine = this.engines[this.currentEngineIndex]
+    this.suggestions.cancel()
+    this.suggestions.hide()
+    this.recallIndex = -1
+
+    // 多引擎同时搜索
+    const group = options.fanout ? this.getDefaultGroup() : resolved.group
+    if (group) {
+      try {
+        await this.performGroupSearch(group, query)
+      } catch (error) {
+        console.error('Group search failed:', error)
+        alert('多引擎搜索失败: ' + error.message)
+      }
+      return
+    }
+
+    // 识别网址直接访问
+    if (
+      !options.forceSearch &&
+      !options.fanout &&
+      !resolved.forceSearch &&
+      !resolved.keywordMatched
+    ) {
+      const url = resolveNavigationUrl(query)
+      if (url) {
+        this.openUrl(url)
+        return
+      }
+    }
+
     if (!currentEngine) return
 
-    // 构建搜索URL
-    const searchUrl = currentEngine.url.replace('%s', encodeURIComponent(query))
+    const savingHistory = this.recordHistory(query, currentEngine.id)
+
+    // 当前页跳转前等待历史写入完成
+    if (this.openIn === 'current-tab') {
+      await savingHistory
+    }
+
+    // POST 搜索引擎通过生成的表单提交
+    if (isPostEngine(currentEngine)) {
+      submitPostRequest(
+        buildPostRequest(currentEngine, query),
+        this.openIn === 'current-tab' ? '_self' : '_blank',
+      )
+      return
+    }
+
+    this.openUrl(this.buildSearchUrl(currentEngine, query))
+  }
+
+  /**
+   * 在搜索引擎组的所有引擎中同时搜索，每个引擎打开一个新标签页
+   * @param {Object} group - 搜索引擎组
+   * @param {string} query - 搜索关键词
+   */
+  async performGroupSearch(group, query) {
+    const engines = this.getGroupEngines(group)
+    if (engines.length === 0) return
+
+    this.recordHistory(query, group.id)
+
+    // window.open 在一次用户操作中只允许打开一个窗口，因此使用 tabs API
+    // POST 搜索引擎先打开扩展页面，再由页面提交表单
+    for (const [index, engine] of engines.entries()) {
+      await chrome.tabs.create({
+        url: buildSearchTabUrl(engine, query),
+        active: index === 0,
+      })
+    }
+  }
+
+  /**
+   * 构建搜索URL
+   * 按引擎的字符集展开URL模板中的全部占位符
+   * @param {Object} engine - 搜索引擎
+   * @param {string} query - 搜索关键词
+   * @returns {string} 搜索URL
+   */
+  buildSearchUrl(engine, query) {
+    return expandTemplate(engine.url, query, { charset: engine.charset })
+  }
+
+  /**
+   * 按打开方式设置访问地址
+   * @param {string} url - 目标地址
+   */
+  openUrl(url) {
+    // 浏览器内部页面（chrome://、about: 等）无法通过 window.open 打开
+    if (isBrowserUrl(url)) {
+      if (this.openIn === 'current-tab') {
+        chrome.tabs.update({ url })
+      } else {
+        chrome.tabs.create({ url })
+      }
+      return
+    }
 
     // 根据设置决定打开方式
     if (this.openIn === 'current-tab') {
-      window.location.href = searchUrl
+      window.location.href = url
     } else {
-      window.open(searchUrl, '_blank')
+      window.open(url, '_blank')
     }
   }
 
+  /**
+   * 记录搜索历史
+   * @param {string} query - 搜索关键词
+   * @param {string} engineId - 搜索引擎ID
+   */
+  async recordHistory(query, engineId) {
+    try {
+      this.historyEntries = await historyManager.add(query, engineId)
+    } catch (error) {
+      console.error('Failed to save search history:', error)
+    }
+  }
+
+  /**
+   * 删除单条搜索历史
+   * @param {string} query - 搜索关键词
+   */
+  async deleteHistoryEntry(query) {
+    try {
+      this.historyEntries = await historyManager.remove(query)
+      this.requestSuggestions()
+    } catch (error) {
+      console.error('Failed to delete search history:', error)
+    }
+  }
+
+  /**
+   * 用方向键回溯搜索历史
+   * @param {number} step - 1 表示更早的记录，-1 表示更近的记录
+   */
+  recallHistory(step) {
+    if (this.historyEntries.length === 0) return
+
+    if (this.recallIndex === -1) {
+      this.recallDraft = this.searchInput.value
+    }
+
+    const next = Math.min(
+      Math.max(this.recallIndex + step, -1),
+      this.historyEntries.length - 1,
+    )
+    this.recallIndex = next
+    this.searchInput.value =
+      next === -1 ? this.recallDraft : this.historyEntries[next].query
+    this.updateEngineIcon()
+  }
+
   /**
    * 切换搜索引擎
    */
@@ -132,7 +390,8 @@ class Search {
   updateEngineIcon() {
     if (!this.searchEngineIcon || this.engines.length === 0) return
 
-    const currentEngine = this.engines[this.currentEngineIndex]
+    // 输入了关键词时预览对应的搜索引擎
+    const currentEngine = this.resolveQuery().engine
     if (currentEngine && currentEngine.icon) {
       this.searchEngineIcon.src = currentEngine.icon
       this.searchEngineIcon.alt = currentEngine.name
@@ -180,6 +439,14 @@ class Search {
     if (settings.openIn !== undefined) {
       this.openIn = settings.openIn
     }
+
+    if (settings.suggestions !== undefined) {
+      this.suggestionsEnabled = settings.suggestions
+      if (!this.suggestionsEnabled) {
+        this.suggestions.cancel()
+        this.suggestions.hide()
+      }
+    }
   }
 
   /**
@@ -197,6 +464,56 @@ class Search {
     this.updateEngineIcon()
   }
 
+  /**
+   * 更新搜索引擎组
+   * @param {Array} groups - 搜索引擎组列表
+   * @param {string} [defaultGroupId] - 默认搜索引擎组ID
+   */
+  updateGroups(groups, defaultGroupId) {
+    this.groups = groups
+    if (defaultGroupId !== undefined) {
+      this.defaultGroupId = defaultGroupId
+    }
+    this.updateEngineIcon()
+  }
+
+  /**
+   * 获取搜索引擎组包含的搜索引擎（忽略已删除的引擎）
+   * @param {Object} group - 搜索引擎组
+   * @returns {Array} 搜索引擎列表
+   */
+  getGroupEngines(group) {
+    if (!group || !Array.isArray(group.engines)) return []
+
+    return group.engines
+      .map((id) => this.engines.find((engine) => engine.id === id))
+      .filter(Boolean)
+  }
+
+  /**
+   * 获取 Ctrl+Enter 使用的默认搜索引擎组
+   * @returns {Object|null} 搜索引擎组
+   */
+  getDefaultGroup() {
+    return (
+      this.groups.find((group) => group.id === this.defaultGroupId) ||
+      this.groups[0] ||
+      null
+    )
+  }
+
+  /**
+   * 更新搜索历史（来自其他标签页或设置面板的变化）
+   * @param {Object} historySettings - 历史设置
+   */
+  updateHistory(historySettings) {
+    this.historyEntries = historyManager.prune(
+      historySettings.entries || [],
+      historySettings,
+    )
+    this.recallIndex = -1
+  }
+
   /**
    * 获取当前搜索引擎
    * @returns {Object} 当前搜索引擎对象
@@ -3,6 +3,46 @@
  * 负责设置面板的UI交互和设置管理
  */
 import storageManager from './storage.js'
+import historyManager from './history.js'
+import assetStore from './asset-store.js'
+import wallpaperLibrary, {
+  MAX_SCHEDULE_SLOTS,
+  parseTimeOfDay,
+  sortSchedule,
+} from './wallpaper-library.js'
+import { MIN_GRADIENT_STOPS, MAX_GRADIENT_STOPS } from './backgrounds.js'
+import { validateKeyword } from './keywords.js'
+import { parseOpenSearchDescription } from './opensearch.js'
+import { validateImageUrl } from './remote-image.js'
+import { getContrastRatio, MIN_CONTRAST_RATIO } from './palette.js'
+import {
+  THEME_COLORS,
+  DEFAULT_THEME_COLORS,
+  MAX_CUSTOM_THEMES,
+  normalizeTheme,
+  parseThemeJson,
+  serializeTheme,
+} from './custom-themes.js'
+import {
+  validateTemplate,
+  previewTemplate,
+  SAMPLE_QUERY,
+} from './url-template.js'
+import {
+  parseParams,
+  formatParams,
+  validateEngineUrl,
+  buildPostRequest,
+} from './post-search.js'
+
+// 壁纸图片调整项，对应 wallpaper-<key> 滑块
+const WALLPAPER_ADJUSTMENTS = [
+  'brightness',
+  'contrast',
+  'saturation',
+  'grayscale',
+  'vignette',
+]
 
 class Settings {
   constructor() {
@@ -20,6 +60,11 @@ class Settings {
     this.searchOpacityDebounce = null
     this.wallpaperBlurDebounce = null
     this.wallpaperOverlayOpacityDebounce = null
+    this.wallpaperBackgroundDebounce = null
+    this.pendingWallpaperBackground = null
+    this.wallpaperDarkDebounce = null
+    this.wallpaperAdjustmentsDebounce = null
+    this.wallpaperOverlayColorDebounce = null
 
     // 设置元素
     this.searchWidth = document.getElementById('search-width')
@@ -32,11 +77,35 @@ class Settings {
     this.searchOpacityValue = document.getElementById('search-opacity-value')
     this.openIn = document.getElementById('open-in')
     this.tabSwitch = document.getElementById('tab-switch')
+    this.suggestionsSwitch = document.getElementById('suggestions-switch')
+    this.historyPause = document.getElementById('history-pause')
+    this.historyRetention = document.getElementById('history-retention')
+    this.historyMaxSize = document.getElementById('history-max-size')
+    this.clearHistory = document.getElementById('clear-history')
     this.resetSettings = document.getElementById('reset-settings')
     this.clearData = document.getElementById('clear-data')
 
     // 壁纸设置元素
+    this.wallpaperType = document.getElementById('wallpaper-type')
+    this.wallpaperTypeOptions = document.querySelectorAll(
+      '.wallpaper-type-options',
+    )
+    this.wallpaperColor = document.getElementById('wallpaper-color')
+    this.gradientType = document.getElementById('gradient-type')
+    this.gradientAngleItem = document.getElementById('gradient-angle-item')
+    this.gradientAngle = document.getElementById('gradient-angle')
+    this.gradientAngleValue = document.getElementById('gradient-angle-value')
+    this.gradientStops = document.getElementById('gradient-stops')
+    this.addGradientStopBtn = document.getElementById('add-gradient-stop')
+    this.patternName = document.getElementById('pattern-name')
+    this.patternForeground = document.getElementById('pattern-foreground')
+    this.patternBackground = document.getElementById('pattern-background')
+    this.patternSize = document.getElementById('pattern-size')
+    this.patternSizeValue = document.getElementById('pattern-size-value')
     this.wallpaperUpload = document.getElementById('wallpaper-upload')
+    this.wallpaperUrl = document.getElementById('wallpaper-url')
+    this.wallpaperUrlAdd = document.getElementById('wallpaper-url-add')
+    this.wallpaperUrlRefresh = document.getElementById('wallpaper-url-refresh')
     this.wallpaperReset = document.getElementById('wallpaper-reset')
     this.wallpaperBlur = document.getElementById('wallpaper-blur')
     this.wallpaperBlurValue = document.getElementById('wallpaper-blur-value')
@@ -46,14 +115,75 @@ class Settings {
     this.wallpaperOverlayOpacityValue = document.getElementById(
       'wallpaper-overlay-opacity-value',
     )
+    this.wallpaperOverlayColor = document.getElementById(
+      'wallpaper-overlay-color',
+    )
+    this.wallpaperAdjustments = WALLPAPER_ADJUSTMENTS.map((key) => ({
+      key,
+      input: document.getElementById(`wallpaper-${key}`),
+      value: document.getElementById(`wallpaper-${key}-value`),
+    }))
+    this.uploadMax = document.getElementById('wallpaper-upload-max')
+    this.uploadFormat = document.getElementById('wallpaper-upload-format')
+    this.uploadQuality = document.getElementById('wallpaper-upload-quality')
+    this.uploadQualityValue = document.getElementById(
+      'wallpaper-upload-quality-value',
+    )
+    this.wallpaperLibrary = document.getElementById('wallpaper-library')
+    this.wallpaperFit = document.getElementById('wallpaper-fit')
+    this.focalItem = document.getElementById('wallpaper-focal-item')
+    this.focalPicker = document.getElementById('wallpaper-focal-picker')
+    this.focalImage = document.getElementById('wallpaper-focal-image')
+    this.focalMarker = this.focalPicker.querySelector('.focal-marker')
+    this.wallpaperBackgroundColor = document.getElementById(
+      'wallpaper-background-color',
+    )
+    this.darkEnabled = document.getElementById('wallpaper-dark-enabled')
+    this.darkOptions = document.getElementById('wallpaper-dark-options')
+    this.darkImage = document.getElementById('wallpaper-dark-image')
+    this.darkBlur = document.getElementById('wallpaper-dark-blur')
+    this.darkBlurValue = document.getElementById('wallpaper-dark-blur-value')
+    this.darkOverlayOpacity = document.getElementById(
+      'wallpaper-dark-overlay-opacity',
+    )
+    this.darkOverlayOpacityValue = document.getElementById(
+      'wallpaper-dark-overlay-opacity-value',
+    )
+    this.rotationMode = document.getElementById('wallpaper-rotation-mode')
+    this.rotationIntervalItem = document.getElementById(
+      'wallpaper-rotation-interval-item',
+    )
+    this.rotationInterval = document.getElementById(
+      'wallpaper-rotation-interval',
+    )
+    this.rotationOrder = document.getElementById('wallpaper-rotation-order')
+    this.rotationOrderItem = document.getElementById(
+      'wallpaper-rotation-order-item',
+    )
+    this.rotationFavorites = document.getElementById(
+      'wallpaper-rotation-favorites',
+    )
+    this.rotationFavoritesItem = document.getElementById(
+      'wallpaper-rotation-favorites-item',
+    )
+    this.scheduleItem = document.getElementById('wallpaper-schedule-item')
+    this.scheduleList = document.getElementById('wallpaper-schedule')
+    this.addScheduleSlotBtn = document.getElementById('add-schedule-slot')
 
     // 搜索引擎设置元素
     this.defaultEngine = document.getElementById('default-engine')
     this.enginesList = document.getElementById('engines-list')
     this.addEngineBtn = document.getElementById('add-engine')
+    this.importOpenSearchBtn = document.getElementById('import-opensearch')
+    this.defaultGroup = document.getElementById('default-group')
+    this.groupsList = document.getElementById('groups-list')
+    this.addGroupBtn = document.getElementById('add-group')
 
     // 主题设置元素
-    this.themeRadios = document.querySelectorAll('input[name="theme"]')
+    this.themeOptions = document.getElementById('theme-options')
+    this.themeAutoContrast = document.getElementById('theme-auto-contrast')
+    this.addCustomThemeBtn = document.getElementById('add-custom-theme')
+    this.importCustomThemeBtn = document.getElementById('import-custom-theme')
 
     // 模态框元素
     this.engineModal = document.getElementById('engine-modal')
@@ -62,10 +192,58 @@ class Settings {
     this.cancelEngineBtn = document.getElementById('cancel-engine')
     this.engineName = document.getElementById('engine-name')
     this.engineUrl = document.getElementById('engine-url')
+    this.engineCharset = document.getElementById('engine-charset')
+    this.engineMethod = document.getElementById('engine-method')
+    this.engineParamsGroup = document.getElementById('engine-params-group')
+    this.engineParams = document.getElementById('engine-params')
+    this.engineUrlPreview = document.getElementById('engine-url-preview')
+    this.engineKeyword = document.getElementById('engine-keyword')
     this.engineIcon = document.getElementById('engine-icon')
+    this.engineSuggestUrl = document.getElementById('engine-suggest-url')
+    this.engineImportReport = document.getElementById('engine-import-report')
+    this.openSearchModal = document.getElementById('opensearch-modal')
+    this.openSearchModalClose = document.getElementById(
+      'opensearch-modal-close',
+    )
+    this.openSearchXml = document.getElementById('opensearch-xml')
+    this.openSearchFile = document.getElementById('opensearch-file')
+    this.confirmOpenSearchBtn = document.getElementById('confirm-opensearch')
+    this.cancelOpenSearchBtn = document.getElementById('cancel-opensearch')
+    this.groupModal = document.getElementById('group-modal')
+    this.groupModalClose = document.getElementById('group-modal-close')
+    this.saveGroupBtn = document.getElementById('save-group')
+    this.cancelGroupBtn = document.getElementById('cancel-group')
+    this.groupName = document.getElementById('group-name')
+    this.groupKeyword = document.getElementById('group-keyword')
+    this.groupEngines = document.getElementById('group-engines')
+    this.themeModal = document.getElementById('theme-modal')
+    this.themeModalClose = document.getElementById('theme-modal-close')
+    this.saveCustomThemeBtn = document.getElementById('save-custom-theme')
+    this.cancelCustomThemeBtn = document.getElementById('cancel-custom-theme')
+    this.customThemeName = document.getElementById('custom-theme-name')
+    this.customThemeColors = Object.keys(THEME_COLORS).map((key) => ({
+      key,
+      input: document.getElementById(`custom-theme-${key}`),
+    }))
+    this.customThemeContrast = document.getElementById('custom-theme-contrast')
+    this.themeImportModal = document.getElementById('theme-import-modal')
+    this.themeImportModalClose = document.getElementById(
+      'theme-import-modal-close',
+    )
+    this.themeImportJson = document.getElementById('theme-import-json')
+    this.themeImportFile = document.getElementById('theme-import-file')
+    this.confirmThemeImportBtn = document.getElementById('confirm-theme-import')
+    this.cancelThemeImportBtn = document.getElementById('cancel-theme-import')
 
     this.engines = []
     this.editingEngine = null
+    this.groups = []
+    this.defaultGroupId = null
+    this.editingGroup = null
+    this.customThemes = []
+    this.editingTheme = null
+    this.wallpaperSettings = null
+    this.wallpaperLibraryToken = 0 // 用于丢弃过期的壁纸库渲染结果
 
     this.init()
   }
@@ -83,6 +261,12 @@ class Settings {
 
       // 渲染搜索引擎列表
       this.renderEnginesList()
+
+      // 渲染搜索引擎组列表
+      this.renderGroupsList()
+
+      // 渲染壁纸库
+      this.renderWallpaperLibrary()
     } catch (error) {
       console.error('Settings initialization failed:', error)
     }
@@ -105,27 +289,47 @@ class Settings {
       this.searchOpacityValue.textContent = this.searchOpacity.value
       this.openIn.value = generalSettings.openIn || 'new-tab'
       this.tabSwitch.checked = generalSettings.tabSwitch !== false
+      this.suggestionsSwitch.checked = generalSettings.suggestions !== false
+
+      // 加载搜索历史设置
+      const historySettings = await historyManager.getSettings()
+      this.historyPause.checked = historySettings.paused === true
+      this.historyRetention.value = historySettings.retentionDays
+      this.historyMaxSize.value = historySettings.maxSize
 
       // 加载壁纸设置
       const wallpaperSettings = await storageManager.getCategory('wallpaper')
       this.wallpaperBlur.value = wallpaperSettings.blur || 0
       this.wallpaperBlurValue.textContent = `${this.wallpaperBlur.value}px`
       this.wallpaperOverlayOpacity.value =
-        wallpaperSettings.overlayOpacity || 0.3
+        wallpaperSettings.overlayOpacity ?? 0.3
       this.wallpaperOverlayOpacityValue.textContent =
         this.wallpaperOverlayOpacity.value
+      this.wallpaperSettings = wallpaperSettings
+      this.loadLayoutSettings(wallpaperSettings)
+      this.loadBackgroundSettings(wallpaperSettings)
+      this.loadDarkWallpaperSettings(wallpaperSettings)
+      this.loadAdjustmentSettings(wallpaperSettings)
+      this.uploadMax.value = String(wallpaperSettings.upload.maxDimension)
+      this.uploadFormat.value = wallpaperSettings.upload.format
+      this.uploadQuality.value = wallpaperSettings.upload.quality
+      this.uploadQualityValue.textContent = this.uploadQuality.value
+      this.loadRotationSettings(wallpaperSettings.rotation)
+      this.renderSchedule(wallpaperSettings)
 
       // 加载搜索引擎设置
       const enginesSettings = await storageManager.getCategory('engines')
       this.engines = [...enginesSettings.list]
       this.defaultEngine.value = enginesSettings.default || 'google'
+      this.groups = [...(enginesSettings.groups || [])]
+      this.defaultGroupId = enginesSettings.defaultGroup || null
 
       // 加载主题设置
       const themeSettings = await storageManager.getCategory('theme')
-      const themeMode = themeSettings.mode || 'system'
-      document.querySelector(
-        `input[name="theme"][value="${themeMode}"]`,
-      ).checked = true
+      this.customThemes = [...(themeSettings.custom || [])]
+      this.renderCustomThemes()
+      this.checkThemeOption(themeSettings.mode || 'system')
+      this.themeAutoContrast.checked = Boolean(themeSettings.autoContrast)
     } catch (error) {
       console.error('Failed to load settings:', error)
     }
@@ -220,6 +424,26 @@ class Settings {
       this.updateTabSwitch(e.target.checked)
     })
 
+    this.suggestionsSwitch.addEventListener('change', (e) => {
+      this.updateSuggestions(e.target.checked)
+    })
+
+    this.historyPause.addEventListener('change', (e) => {
+      this.updateHistoryPause(e.target.checked)
+    })
+
+    this.historyRetention.addEventListener('change', (e) => {
+      this.updateHistoryPolicy({ retentionDays: parseInt(e.target.value) })
+    })
+
+    this.historyMaxSize.addEventListener('change', (e) => {
+      this.updateHistoryPolicy({ maxSize: parseInt(e.target.value) })
+    })
+
+    this.clearHistory.addEventListener('click', () => {
+      this.handleClearHistory()
+    })
+
     this.resetSettings.addEventListener('click', () => {
       this.handleResetSettings()
     })
@@ -233,10 +457,199 @@ class Settings {
       this.handleWallpaperUpload(e)
     })
 
+    this.wallpaperUrlAdd.addEventListener('click', () => {
+      this.handleWallpaperUrlAdd()
+    })
+
+    this.wallpaperUrl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.handleWallpaperUrlAdd()
+      }
+    })
+
     this.wallpaperReset.addEventListener('click', () => {
       this.handleWallpaperReset()
     })
 
+    this.uploadMax.addEventListener('change', (e) => {
+      this.updateUploadSettings({ maxDimension: parseInt(e.target.value) })
+    })
+
+    this.uploadFormat.addEventListener('change', (e) => {
+      this.updateUploadSettings({ format: e.target.value })
+    })
+
+    this.uploadQuality.addEventListener('input', (e) => {
+      this.uploadQualityValue.textContent = e.target.value
+    })
+
+    this.uploadQuality.addEventListener('change', (e) => {
+      this.updateUploadSettings({ quality: parseFloat(e.target.value) })
+    })
+
+    this.wallpaperType.addEventListener('change', (e) => {
+      this.showWallpaperTypeOptions(e.target.value)
+      this.updateWallpaperBackground({ type: e.target.value })
+    })
+
+    this.wallpaperColor.addEventListener('input', (e) => {
+      this.updateWallpaperBackground({ color: e.target.value })
+    })
+
+    this.gradientType.addEventListener('change', (e) => {
+      this.gradientAngleItem.style.display =
+        e.target.value === 'linear' ? '' : 'none'
+      this.updateGradient({ type: e.target.value })
+    })
+
+    this.gradientAngle.addEventListener('input', (e) => {
+      this.gradientAngleValue.textContent = `${e.target.value}°`
+      this.updateGradient({ angle: parseInt(e.target.value) })
+    })
+
+    this.addGradientStopBtn.addEventListener('click', () => {
+      this.addGradientStop()
+    })
+
+    this.patternName.addEventListener('change', (e) => {
+      this.updatePattern({ name: e.target.value })
+    })
+
+    this.patternForeground.addEventListener('input', (e) => {
+      this.updatePattern({ foreground: e.target.value })
+    })
+
+    this.patternBackground.addEventListener('input', (e) => {
+      this.updatePattern({ background: e.target.value })
+    })
+
+    this.patternSize.addEventListener('input', (e) => {
+      this.patternSizeValue.textContent = `${e.target.value}px`
+      this.updatePattern({ size: parseInt(e.target.value) })
+    })
+
+    this.darkEnabled.addEventListener('change', (e) => {
+      this.darkOptions.style.display = e.target.checked ? '' : 'none'
+      this.updateDarkWallpaper({ enabled: e.target.checked })
+    })
+
+    this.darkImage.addEventListener('change', (e) => {
+      this.updateDarkWallpaper({ currentId: e.target.value || null })
+    })
+
+    this.darkBlur.addEventListener('input', (e) => {
+      this.darkBlurValue.textContent = `${e.target.value}px`
+      this.updateDarkWallpaper({ blur: parseInt(e.target.value) })
+    })
+
+    this.darkOverlayOpacity.addEventListener('input', (e) => {
+      this.darkOverlayOpacityValue.textContent = e.target.value
+      this.updateDarkWallpaper({
+        overlayOpacity: parseFloat(e.target.value),
+      })
+    })
+
+    this.wallpaperFit.addEventListener('change', (e) => {
+      this.focalItem.style.display = e.target.value === 'cover' ? '' : 'none'
+      this.updateWallpaperLayout({ fit: e.target.value })
+    })
+
+    this.wallpaperBackgroundColor.addEventListener('change', (e) => {
+      this.updateWallpaperLayout({ backgroundColor: e.target.value })
+    })
+
+    this.focalPicker.addEventListener('pointerdown', (e) => {
+      this.focalPicker.setPointerCapture(e.pointerId)
+      this.moveFocalMarker(e)
+    })
+
+    this.focalPicker.addEventListener('pointermove', (e) => {
+      if (this.focalPicker.hasPointerCapture(e.pointerId)) {
+        this.moveFocalMarker(e)
+      }
+    })
+
+    this.focalPicker.addEventListener('pointerup', (e) => {
+      this.focalPicker.releasePointerCapture(e.pointerId)
+      this.updateFocalPoint(this.moveFocalMarker(e))
+    })
+
+    this.rotationMode.addEventListener('change', (e) => {
+      this.showRotationOptions(e.target.value)
+      this.updateRotation({ mode: e.target.value })
+    })
+
+    this.addScheduleSlotBtn.addEventListener('click', () => {
+      this.addScheduleSlot()
+    })
+
+    this.rotationInterval.addEventListener('change', (e) => {
+      this.updateRotation({ interval: parseInt(e.target.value) })
+    })
+
+    this.rotationOrder.addEventListener('change', (e) => {
+      this.updateRotation({ order: e.target.value })
+    })
+
+    this.rotationFavorites.addEventListener('change', (e) => {
+      this.updateRotation({ favoritesOnly: e.target.checked })
+    })
+
+    // 壁纸设置在其他标签页或定时轮换中变化时刷新
+    // 每次写入存储都带有全部类别，只回填实际变化的部分，避免打断正在进行的输入
+    storageManager.onChanged((newSettings, oldSettings) => {
+      const wallpaper = newSettings && newSettings.wallpaper
+      const oldWallpaper = (oldSettings && oldSettings.wallpaper) || {}
+      if (
+        !wallpaper ||
+        JSON.stringify(wallpaper) ===
+          JSON.stringify(oldSettings && oldSettings.wallpaper)
+      ) {
+        return
+      }
+
+      const changed = (...keys) =>
+        keys.some(
+          (key) =>
+            JSON.stringify(wallpaper[key]) !==
+            JSON.stringify(oldWallpaper[key]),
+        )
+
+      this.wallpaperSettings = {
+        ...storageManager.defaultSettings.wallpaper,
+        ...wallpaper,
+      }
+      if (changed('rotation')) {
+        this.loadRotationSettings(this.wallpaperSettings.rotation)
+      }
+      // 修改时段时间时不重建列表，避免打断正在进行的输入
+      if (
+        changed('schedule', 'library') &&
+        !this.scheduleList.contains(document.activeElement)
+      ) {
+        this.renderSchedule(this.wallpaperSettings)
+      }
+      // 焦点可能保存在当前壁纸的壁纸库条目中
+      if (
+        changed('fit', 'focalPoint', 'backgroundColor', 'currentId', 'library')
+      ) {
+        this.loadLayoutSettings(this.wallpaperSettings)
+      }
+      if (changed('type', 'color', 'gradient', 'pattern')) {
+        this.loadBackgroundSettings(this.wallpaperSettings)
+      }
+      // 深色模式壁纸的下拉框列出壁纸库中的图片
+      if (changed('dark', 'library')) {
+        this.loadDarkWallpaperSettings(this.wallpaperSettings)
+      }
+      if (changed('adjustments', 'overlayColor')) {
+        this.loadAdjustmentSettings(this.wallpaperSettings)
+      }
+      if (changed('library', 'currentId')) {
+        this.renderWallpaperLibrary()
+      }
+    })
+
     this.wallpaperBlur.addEventListener('input', (e) => {
       const value = e.target.value
       this.wallpaperBlurValue.textContent = `${value}px`
@@ -263,6 +676,24 @@ class Settings {
       }, 300)
     })
 
+    this.wallpaperOverlayColor.addEventListener('input', (e) => {
+      const value = e.target.value
+
+      if (this.wallpaperOverlayColorDebounce) {
+        clearTimeout(this.wallpaperOverlayColorDebounce)
+      }
+      this.wallpaperOverlayColorDebounce = setTimeout(() => {
+        this.updateWallpaperOverlayColor(value)
+      }, 300)
+    })
+
+    this.wallpaperAdjustments.forEach(({ key, input, value }) => {
+      input.addEventListener('input', (e) => {
+        value.textContent = `${e.target.value}%`
+        this.updateWallpaperAdjustments({ [key]: parseInt(e.target.value) })
+      })
+    })
+
     // 搜索引擎设置事件
     this.defaultEngine.addEventListener('change', (e) => {
       this.updateDefaultEngine(e.target.value)
@@ -272,13 +703,48 @@ class Settings {
       this.openEngineModal()
     })
 
-    // 主题设置事件
-    this.themeRadios.forEach((radio) => {
-      radio.addEventListener('change', (e) => {
-        if (e.target.checked) {
-          this.updateTheme(e.target.value)
+    this.importOpenSearchBtn.addEventListener('click', () => {
+      this.openOpenSearchModal()
+    })
+
+    this.defaultGroup.addEventListener('change', (e) => {
+      this.updateDefaultGroup(e.target.value)
+    })
+
+    this.addGroupBtn.addEventListener('click', () => {
+      this.openGroupModal()
+    })
+
+    // 主题设置事件（自定义主题选项为动态生成，使用事件委托）
+    this.themeOptions.addEventListener('change', (e) => {
+      if (e.target.name === 'theme' && e.target.checked) {
+        this.updateTheme(e.target.value)
+      }
+    })
+
+    this.addCustomThemeBtn.addEventListener('click', () => {
+      this.openThemeModal()
+    })
+
+    this.importCustomThemeBtn.addEventListener('click', () => {
+      this.openThemeImportModal()
+    })
+
+    // 主题设置在其他标签页中变化时刷新
+    storageManager.onChanged((newSettings) => {
+      if (newSettings && newSettings.theme) {
+        const custom = newSettings.theme.custom || []
+        if (JSON.stringify(custom) !== JSON.stringify(this.customThemes)) {
+          this.customThemes = [...custom]
+          this.renderCustomThemes()
         }
-      })
+        this.checkThemeOption(newSettings.theme.mode || 'system')
+        this.themeAutoContrast.checked = Boolean(newSettings.theme.autoContrast)
+      }
+    })
+
+    this.themeAutoContrast.addEventListener('change', (e) => {
+      this.updateAutoContrast(e.target.checked)
     })
 
     // 模态框事件
@@ -294,12 +760,120 @@ class Settings {
       this.closeEngineModal()
     })
 
+    // 实时预览搜索URL
+    this.engineUrl.addEventListener('input', () => {
+      this.updateUrlPreview()
+    })
+
+    this.engineCharset.addEventListener('change', () => {
+      this.updateUrlPreview()
+    })
+
+    this.engineMethod.addEventListener('change', () => {
+      this.updateMethodFields()
+      this.updateUrlPreview()
+    })
+
+    this.engineParams.addEventListener('input', () => {
+      this.updateUrlPreview()
+    })
+
     // 点击模态框外部关闭
     this.engineModal.addEventListener('click', (e) => {
       if (e.target === this.engineModal) {
         this.closeEngineModal()
       }
     })
+
+    // OpenSearch 导入模态框事件
+    this.openSearchModalClose.addEventListener('click', () => {
+      this.closeOpenSearchModal()
+    })
+
+    this.cancelOpenSearchBtn.addEventListener('click', () => {
+      this.closeOpenSearchModal()
+    })
+
+    this.confirmOpenSearchBtn.addEventListener('click', () => {
+      this.importOpenSearch()
+    })
+
+    this.openSearchFile.addEventListener('change', (e) => {
+      this.handleOpenSearchFile(e)
+    })
+
+    this.openSearchModal.addEventListener('click', (e) => {
+      if (e.target === this.openSearchModal) {
+        this.closeOpenSearchModal()
+      }
+    })
+
+    // 搜索引擎组模态框事件
+    this.groupModalClose.addEventListener('click', () => {
+      this.closeGroupModal()
+    })
+
+    this.saveGroupBtn.addEventListener('click', () => {
+      this.saveGroup()
+    })
+
+    this.cancelGroupBtn.addEventListener('click', () => {
+      this.closeGroupModal()
+    })
+
+    this.groupModal.addEventListener('click', (e) => {
+      if (e.target === this.groupModal) {
+        this.closeGroupModal()
+      }
+    })
+
+    // 自定义主题模态框事件
+    this.themeModalClose.addEventListener('click', () => {
+      this.closeThemeModal()
+    })
+
+    this.saveCustomThemeBtn.addEventListener('click', () => {
+      this.saveCustomTheme()
+    })
+
+    this.cancelCustomThemeBtn.addEventListener('click', () => {
+      this.closeThemeModal()
+    })
+
+    this.themeModal.addEventListener('click', (e) => {
+      if (e.target === this.themeModal) {
+        this.closeThemeModal()
+      }
+    })
+
+    this.customThemeColors.forEach(({ input }) => {
+      input.addEventListener('input', () => {
+        this.updateThemeContrast()
+      })
+    })
+
+    // 主题导入模态框事件
+    this.themeImportModalClose.addEventListener('click', () => {
+      this.closeThemeImportModal()
+    })
+
+    this.cancelThemeImportBtn.addEventListener('click', () => {
+      this.closeThemeImportModal()
+    })
+
+    this.confirmThemeImportBtn.addEventListener('click', () => {
+      this.importCustomTheme()
+    })
+
+    this.themeImportFile.addEventListener('change', (e) => {
+      this.handleThemeImportFile(e)
+    })
+
+    this.themeImportModal.addEventListener('click', (e) => {
+      if (e.target === this.themeImportModal) {
+        this.closeThemeImportModal()
+      }
+    })
   }
 
   /**
@@ -426,16 +1000,97 @@ class Settings {
     }
   }
 
+  /**
+   * 更新搜索建议开关
+   * @param {boolean} enabled - 是否启用
+   */
+  async updateSuggestions(enabled) {
+    try {
+      await storageManager.updateCategory('general', { suggestions: enabled })
+      this.emit('suggestionsChanged', enabled)
+    } catch (error) {
+      console.error('Failed to update suggestions setting:', error)
+    }
+  }
+
+  /**
+   * 暂停或恢复搜索历史记录
+   * @param {boolean} paused - 是否暂停
+   */
+  async updateHistoryPause(paused) {
+    try {
+      await historyManager.setPaused(paused)
+    } catch (error) {
+      console.error('Failed to update history pause setting:', error)
+    }
+  }
+
+  /**
+   * 更新搜索历史保留策略
+   * @param {Object} policy - { maxSize } 或 { retentionDays }
+   */
+  async updateHistoryPolicy(policy) {
+    try {
+      await historyManager.updatePolicy(policy)
+    } catch (error) {
+      console.error('Failed to update history policy:', error)
+    }
+  }
+
+  /**
+   * 清除搜索历史
+   */
+  async handleClearHistory() {
+    if (!confirm('确定要清除所有搜索历史吗？')) {
+      return
+    }
+
+    try {
+      await historyManager.clear()
+      alert('搜索历史已清除')
+    } catch (error) {
+      console.error('Failed to clear history:', error)
+      alert('清除搜索历史失败')
+    }
+  }
+
+  /**
+   * 从网址添加壁纸
+   * 下载期间禁用添加按钮，成功后清空输入框
+   */
+  async handleWallpaperUrlAdd() {
+    const url = this.wallpaperUrl.value.trim()
+    const error = validateImageUrl(url)
+    if (error) {
+      alert(error)
+      return
+    }
+    if (this.wallpaperUrlAdd.disabled) return
+
+    this.wallpaperUrlAdd.disabled = true
+    try {
+      await wallpaperLibrary.addFromUrl(url, {
+        refresh: this.wallpaperUrlRefresh.checked,
+      })
+      this.wallpaperUrl.value = ''
+    } catch (error) {
+      console.error('Failed to add wallpaper from URL:', error)
+      alert('从网址添加壁纸失败: ' + error.message)
+    } finally {
+      this.wallpaperUrlAdd.disabled = false
+    }
+  }
+
   /**
    * 处理壁纸上传
    * @param {Event} e - 文件选择事件
    */
   async handleWallpaperUpload(e) {
-    const file = e.target.files[0]
-    if (!file) return
+    const files = Array.from(e.target.files)
+    if (files.length === 0) return
 
     try {
-      this.emit('wallpaperUpload', file)
+      this.emit('wallpaperUpload', files)
     } catch (error) {
       console.error('Failed to upload wallpaper:', error)
       alert('上传壁纸失败: ' + error.message)
@@ -463,43 +1118,689 @@ class Settings {
   }
 
   /**
-   * 更新壁纸模糊
-   * @param {string} blur - 模糊值
+   * 更新壁纸上传处理设置
+   * 只影响之后上传的图片
+   * @param {Object} upload - 要更新的上传设置
    */
-  async updateWallpaperBlur(blur) {
+  async updateUploadSettings(upload) {
     try {
-      await storageManager.updateCategory('wallpaper', { blur: parseInt(blur) })
-      this.emit('wallpaperBlurChanged', parseInt(blur))
+      const { upload: current } = await storageManager.getCategory('wallpaper')
+      await storageManager.updateCategory('wallpaper', {
+        upload: { ...current, ...upload },
+      })
     } catch (error) {
-      console.error('Failed to update wallpaper blur:', error)
+      console.error('Failed to update wallpaper upload settings:', error)
     }
   }
 
   /**
-   * 更新壁纸遮罩透明度
-   * @param {string} opacity - 透明度值
+   * 填充纯色、渐变和图案壁纸控件
+   * @param {Object} wallpaperSettings - 壁纸设置
    */
-  async updateWallpaperOverlayOpacity(opacity) {
-    try {
-      await storageManager.updateCategory('wallpaper', {
-        overlayOpacity: parseFloat(opacity),
-      })
-      this.emit('wallpaperOverlayOpacityChanged', parseFloat(opacity))
-    } catch (error) {
-      console.error('Failed to update wallpaper overlay opacity:', error)
+  loadBackgroundSettings(wallpaperSettings) {
+    const { type, color, gradient, pattern } = wallpaperSettings
+
+    this.wallpaperType.value = type
+    this.showWallpaperTypeOptions(type)
+    this.wallpaperColor.value = color
+
+    this.gradientType.value = gradient.type
+    this.gradientAngle.value = gradient.angle
+    this.gradientAngleValue.textContent = `${gradient.angle}°`
+    this.gradientAngleItem.style.display =
+      gradient.type === 'linear' ? '' : 'none'
+
+    // 拖动色标时不重建列表，避免打断正在进行的输入
+    if (!this.gradientStops.contains(document.activeElement)) {
+      this.renderGradientStops(gradient.stops)
     }
+
+    this.patternName.value = pattern.name
+    this.patternForeground.value = pattern.foreground
+    this.patternBackground.value = pattern.background
+    this.patternSize.value = pattern.size
+    this.patternSizeValue.textContent = `${pattern.size}px`
   }
 
   /**
-   * 更新默认搜索引擎
-   * @param {string} engineId - 搜索引擎ID
+   * 只显示当前壁纸类型的设置项
+   * @param {string} type - 壁纸类型
    */
-  async updateDefaultEngine(engineId) {
-    try {
-      await storageManager.updateCategory('engines', { default: engineId })
-      this.emit('defaultEngineChanged', engineId)
-    } catch (error) {
-      console.error('Failed to update default engine:', error)
+  showWallpaperTypeOptions(type) {
+    this.wallpaperTypeOptions.forEach((options) => {
+      options.style.display =
+        options.getAttribute('data-wallpaper-type') === type ? '' : 'none'
+    })
+  }
+
+  /**
+   * 渲染渐变色标列表
+   * @param {Array} stops - 色标 [{ color, position }]
+   */
+  renderGradientStops(stops) {
+    this.gradientStops.innerHTML = ''
+
+    stops.forEach((stop, index) => {
+      const row = document.createElement('div')
+      row.className = 'gradient-stop'
+
+      row.innerHTML = `
+                <input type="color" value="${stop.color}">
+                <input type="range" min="0" max="100" value="${stop.position}">
+                <button class="delete-btn" title="删除色标">×</button>
+            `
+
+      const [colorInput, positionInput] = row.querySelectorAll('input')
+      const deleteBtn = row.querySelector('.delete-btn')
+      deleteBtn.disabled = stops.length <= MIN_GRADIENT_STOPS
+
+      colorInput.addEventListener('input', (e) => {
+        this.updateGradientStop(index, { color: e.target.value })
+      })
+
+      positionInput.addEventListener('input', (e) => {
+        this.updateGradientStop(index, { position: parseInt(e.target.value) })
+      })
+
+      deleteBtn.addEventListener('click', () => {
+        this.removeGradientStop(index)
+      })
+
+      this.gradientStops.appendChild(row)
+    })
+
+    this.addGradientStopBtn.disabled = stops.length >= MAX_GRADIENT_STOPS
+  }
+
+  /**
+   * 获取当前的渐变色标
+   * @returns {Array} 色标 [{ color, position }]
+   */
+  getGradientStops() {
+    return this.wallpaperSettings.gradient.stops.map((stop) => ({ ...stop }))
+  }
+
+  /**
+   * 修改渐变色标
+   * @param {number} index - 色标序号
+   * @param {Object} changes - { color, position }
+   */
+  updateGradientStop(index, changes) {
+    const stops = this.getGradientStops()
+    stops[index] = { ...stops[index], ...changes }
+    this.updateGradient({ stops })
+  }
+
+  /**
+   * 添加渐变色标（位于最后两个色标中间）
+   */
+  addGradientStop() {
+    const stops = this.getGradientStops()
+    if (stops.length >= MAX_GRADIENT_STOPS) return
+
+    const last = stops[stops.length - 1]
+    const previous = stops[stops.length - 2] || last
+    stops.splice(stops.length - 1, 0, {
+      color: last.color,
+      position: Math.round((previous.position + last.position) / 2),
+    })
+
+    this.renderGradientStops(stops)
+    this.updateGradient({ stops })
+  }
+
+  /**
+   * 删除渐变色标
+   * @param {number} index - 色标序号
+   */
+  removeGradientStop(index) {
+    const stops = this.getGradientStops()
+    if (stops.length <= MIN_GRADIENT_STOPS) return
+
+    stops.splice(index, 1)
+    this.renderGradientStops(stops)
+    this.updateGradient({ stops })
+  }
+
+  /**
+   * 更新渐变设置
+   * @param {Object} changes - 要更新的渐变设置
+   */
+  updateGradient(changes) {
+    this.updateWallpaperBackground({
+      gradient: { ...this.wallpaperSettings.gradient, ...changes },
+    })
+  }
+
+  /**
+   * 更新图案设置
+   * @param {Object} changes - 要更新的图案设置
+   */
+  updatePattern(changes) {
+    this.updateWallpaperBackground({
+      pattern: { ...this.wallpaperSettings.pattern, ...changes },
+    })
+  }
+
+  /**
+   * 保存纯色、渐变或图案壁纸设置
+   * 本地设置立即更新，写入存储时防抖，避免拖动颜色或滑块时频繁写入
+   * @param {Object} updates - 要更新的设置
+   */
+  updateWallpaperBackground(updates) {
+    this.wallpaperSettings = { ...this.wallpaperSettings, ...updates }
+
+    this.pendingWallpaperBackground = {
+      ...this.pendingWallpaperBackground,
+      ...updates,
+    }
+
+    if (this.wallpaperBackgroundDebounce) {
+      clearTimeout(this.wallpaperBackgroundDebounce)
+    }
+    this.wallpaperBackgroundDebounce = setTimeout(async () => {
+      const pending = this.pendingWallpaperBackground
+      this.pendingWallpaperBackground = null
+      try {
+        await storageManager.updateCategory('wallpaper', pending)
+      } catch (error) {
+        console.error('Failed to update wallpaper background:', error)
+      }
+    }, 300)
+  }
+
+  /**
+   * 填充深色模式壁纸控件
+   * @param {Object} wallpaperSettings - 壁纸设置
+   */
+  loadDarkWallpaperSettings(wallpaperSettings) {
+    const { dark, library = [] } = wallpaperSettings
+
+    this.darkEnabled.checked = dark.enabled
+    this.darkOptions.style.display = dark.enabled ? '' : 'none'
+
+    this.darkImage.innerHTML = ''
+    const defaultOption = document.createElement('option')
+    defaultOption.value = ''
+    defaultOption.textContent = '默认壁纸'
+    this.darkImage.appendChild(defaultOption)
+
+    library.forEach((item, index) => {
+      const option = document.createElement('option')
+      option.value = item.id
+      option.textContent = item.name || `壁纸 ${index + 1}`
+      this.darkImage.appendChild(option)
+    })
+    this.darkImage.value = dark.currentId || ''
+
+    this.darkBlur.value = dark.blur
+    this.darkBlurValue.textContent = `${dark.blur}px`
+    this.darkOverlayOpacity.value = dark.overlayOpacity
+    this.darkOverlayOpacityValue.textContent = dark.overlayOpacity
+  }
+
+  /**
+   * 更新深色模式壁纸设置
+   * 写入存储时防抖，避免拖动滑块时频繁写入
+   * @param {Object} changes - 要更新的设置
+   */
+  updateDarkWallpaper(changes) {
+    const dark = { ...this.wallpaperSettings.dark, ...changes }
+    this.wallpaperSettings = { ...this.wallpaperSettings, dark }
+
+    if (this.wallpaperDarkDebounce) {
+      clearTimeout(this.wallpaperDarkDebounce)
+    }
+    this.wallpaperDarkDebounce = setTimeout(async () => {
+      try {
+        await storageManager.updateCategory('wallpaper', {
+          dark: this.wallpaperSettings.dark,
+        })
+      } catch (error) {
+        console.error('Failed to update dark wallpaper:', error)
+      }
+    }, 300)
+  }
+
+  /**
+   * 填充壁纸显示方式、焦点和背景颜色控件
+   * @param {Object} wallpaperSettings - 壁纸设置
+   */
+  async loadLayoutSettings(wallpaperSettings) {
+    const { library = [], currentId, fit } = wallpaperSettings
+    const item = library.find((entry) => entry.id === currentId)
+
+    this.wallpaperFit.value = fit
+    this.wallpaperBackgroundColor.value = wallpaperSettings.backgroundColor
+    this.focalItem.style.display = fit === 'cover' ? '' : 'none'
+    this.setFocalMarker(
+      (item && item.focalPoint) || wallpaperSettings.focalPoint,
+    )
+
+    try {
+      this.focalImage.src = item
+        ? await assetStore.getObjectUrl(item.posterAssetId || item.assetId)
+        : wallpaperSettings.imageUrl
+    } catch (error) {
+      console.error('Failed to load focal point preview:', error)
+    }
+  }
+
+  /**
+   * 移动焦点标记
+   * @param {Object} focalPoint - 焦点 { x, y }，单位为百分比
+   */
+  setFocalMarker({ x, y }) {
+    this.focalMarker.style.left = `${x}%`
+    this.focalMarker.style.top = `${y}%`
+  }
+
+  /**
+   * 根据指针位置移动焦点标记
+   * @param {PointerEvent} e - 指针事件
+   * @returns {Object} 焦点 { x, y }，单位为百分比
+   */
+  moveFocalMarker(e) {
+    const rect = this.focalImage.getBoundingClientRect()
+    const clamp = (value) => Math.round(Math.min(100, Math.max(0, value)))
+    const focalPoint = {
+      x: clamp(((e.clientX - rect.left) / rect.width) * 100),
+      y: clamp(((e.clientY - rect.top) / rect.height) * 100),
+    }
+
+    this.setFocalMarker(focalPoint)
+    return focalPoint
+  }
+
+  /**
+   * 保存当前壁纸的焦点位置
+   * @param {Object} focalPoint - 焦点 { x, y }，单位为百分比
+   */
+  async updateFocalPoint(focalPoint) {
+    try {
+      const { currentId } = await storageManager.getCategory('wallpaper')
+      await wallpaperLibrary.setFocalPoint(currentId, focalPoint)
+    } catch (error) {
+      console.error('Failed to update wallpaper focal point:', error)
+    }
+  }
+
+  /**
+   * 更新壁纸显示方式或背景颜色
+   * @param {Object} layout - 要更新的设置
+   */
+  async updateWallpaperLayout(layout) {
+    try {
+      await storageManager.updateCategory('wallpaper', layout)
+    } catch (error) {
+      console.error('Failed to update wallpaper layout:', error)
+    }
+  }
+
+  /**
+   * 填充轮换设置控件
+   * @param {Object} rotation - 轮换设置
+   */
+  loadRotationSettings(rotation) {
+    this.rotationMode.value = rotation.mode
+    this.rotationInterval.value = String(rotation.interval)
+    this.rotationOrder.value = rotation.order
+    this.rotationFavorites.checked = rotation.favoritesOnly === true
+    this.showRotationOptions(rotation.mode)
+  }
+
+  /**
+   * 只显示当前轮换方式相关的设置项
+   * @param {string} mode - 轮换方式
+   */
+  showRotationOptions(mode) {
+    const isSchedule = mode === 'schedule'
+    this.rotationIntervalItem.style.display = mode === 'interval' ? '' : 'none'
+    this.scheduleItem.style.display = isSchedule ? '' : 'none'
+    this.rotationOrderItem.style.display = isSchedule ? 'none' : ''
+    this.rotationFavoritesItem.style.display = isSchedule ? 'none' : ''
+  }
+
+  /**
+   * 渲染壁纸时段列表
+   * @param {Object} wallpaperSettings - 壁纸设置
+   */
+  renderSchedule(wallpaperSettings) {
+    const { schedule = [], library = [] } = wallpaperSettings
+    this.scheduleList.innerHTML = ''
+
+    schedule.forEach((slot, index) => {
+      const row = document.createElement('div')
+      row.className = 'schedule-slot'
+
+      row.innerHTML = `
+                <span class="schedule-slot-name"></span>
+                <input type="time" value="${slot.start}">
+                <select></select>
+                <button class="delete-btn" title="删除时段">×</button>
+            `
+
+      row.querySelector('.schedule-slot-name').textContent =
+        slot.name || '自定义'
+
+      // 壁纸名称来自上传的文件名，使用 textContent 填充
+      const select = row.querySelector('select')
+      const defaultOption = document.createElement('option')
+      defaultOption.value = ''
+      defaultOption.textContent = '当前壁纸'
+      select.appendChild(defaultOption)
+      library.forEach((item, itemIndex) => {
+        const option = document.createElement('option')
+        option.value = item.id
+        option.textContent = item.name || `壁纸 ${itemIndex + 1}`
+        select.appendChild(option)
+      })
+      select.value = slot.itemId || ''
+
+      const timeInput = row.querySelector('input')
+      const deleteBtn = row.querySelector('.delete-btn')
+      deleteBtn.disabled = schedule.length <= 1
+
+      timeInput.addEventListener('change', (e) => {
+        if (parseTimeOfDay(e.target.value) === null) return
+        this.updateScheduleSlot(index, { start: e.target.value })
+      })
+
+      select.addEventListener('change', (e) => {
+        this.updateScheduleSlot(index, { itemId: e.target.value || null })
+      })
+
+      deleteBtn.addEventListener('click', () => {
+        this.removeScheduleSlot(index)
+      })
+
+      this.scheduleList.appendChild(row)
+    })
+
+    this.addScheduleSlotBtn.disabled = schedule.length >= MAX_SCHEDULE_SLOTS
+  }
+
+  /**
+   * 修改时段
+   * @param {number} index - 时段序号
+   * @param {Object} changes - { start, itemId }
+   */
+  updateScheduleSlot(index, changes) {
+    const schedule = [...this.wallpaperSettings.schedule]
+    schedule[index] = { ...schedule[index], ...changes }
+    this.saveSchedule(schedule)
+  }
+
+  /**
+   * 添加从当前整点开始的自定义时段
+   */
+  addScheduleSlot() {
+    const schedule = this.wallpaperSettings.schedule
+    if (schedule.length >= MAX_SCHEDULE_SLOTS) return
+
+    const hours = String(new Date().getHours()).padStart(2, '0')
+    const updated = sortSchedule([
+      ...schedule,
+      { name: '', start: `${hours}:00`, itemId: null },
+    ])
+
+    this.renderSchedule({ ...this.wallpaperSettings, schedule: updated })
+    this.saveSchedule(updated)
+  }
+
+  /**
+   * 删除时段
+   * @param {number} index - 时段序号
+   */
+  removeScheduleSlot(index) {
+    const schedule = [...this.wallpaperSettings.schedule]
+    if (schedule.length <= 1) return
+
+    schedule.splice(index, 1)
+    this.renderSchedule({ ...this.wallpaperSettings, schedule })
+    this.saveSchedule(schedule)
+  }
+
+  /**
+   * 保存时段
+   * 修改时间时不重新排序，避免打断正在进行的输入；切换壁纸时会按时间排序
+   * @param {Array} schedule - 时段 [{ name, start, itemId }]
+   */
+  async saveSchedule(schedule) {
+    this.wallpaperSettings = { ...this.wallpaperSettings, schedule }
+
+    try {
+      await storageManager.updateCategory('wallpaper', { schedule })
+    } catch (error) {
+      console.error('Failed to update wallpaper schedule:', error)
+      alert('保存时段设置失败')
+    }
+  }
+
+  /**
+   * 更新壁纸轮换设置
+   * @param {Object} rotation - 要更新的轮换设置
+   */
+  async updateRotation(rotation) {
+    try {
+      await wallpaperLibrary.updateRotation(rotation)
+    } catch (error) {
+      console.error('Failed to update wallpaper rotation:', error)
+      alert('保存轮换设置失败')
+    }
+  }
+
+  /**
+   * 渲染壁纸库缩略图
+   */
+  async renderWallpaperLibrary() {
+    const { library = [], currentId } = this.wallpaperSettings || {}
+    const token = ++this.wallpaperLibraryToken
+
+    // 先读取所有缩略图地址，避免并发渲染时列表重复
+    const urls = await Promise.all(
+      library.map((item) =>
+        assetStore
+          .getObjectUrl(item.posterAssetId || item.assetId)
+          .catch((error) => {
+            console.error('Failed to load wallpaper thumbnail:', error)
+            return null
+          }),
+      ),
+    )
+    if (token !== this.wallpaperLibraryToken) return
+
+    this.wallpaperLibrary.innerHTML = ''
+
+    if (library.length === 0) {
+      const empty = document.createElement('p')
+      empty.className = 'wallpaper-library-empty'
+      empty.textContent = '壁纸库为空，上传图片后会显示在这里'
+      this.wallpaperLibrary.appendChild(empty)
+      return
+    }
+
+    library.forEach((item, index) => {
+      const thumb = document.createElement('div')
+      thumb.className = 'wallpaper-thumb'
+      thumb.classList.toggle('active', item.id === currentId)
+      thumb.title = item.source ? item.source.url : item.name || ''
+      const badge = this.getWallpaperBadge(item)
+
+      thumb.innerHTML = `
+                <img alt="">
+                ${badge ? `<div class="wallpaper-thumb-badge">${badge}</div>` : ''}
+                <div class="wallpaper-thumb-actions">
+                    <button class="favorite-btn${item.favorite ? ' active' : ''}" title="收藏">★</button>
+                    <button class="delete-btn" title="删除">×</button>
+                </div>
+            `
+      if (urls[index]) {
+        thumb.querySelector('img').src = urls[index]
+      }
+
+      thumb.addEventListener('click', () => {
+        this.selectWallpaper(item.id)
+      })
+
+      thumb.querySelector('.favorite-btn').addEventListener('click', (e) => {
+        e.stopPropagation()
+        this.toggleWallpaperFavorite(item.id)
+      })
+
+      thumb.querySelector('.delete-btn').addEventListener('click', (e) => {
+        e.stopPropagation()
+        this.deleteWallpaper(item.id)
+      })
+
+      this.wallpaperLibrary.appendChild(thumb)
+    })
+  }
+
+  /**
+   * 获取壁纸缩略图上的标记文字
+   * @param {Object} item - 壁纸库条目
+   * @returns {string} 标记文字，不需要标记时返回空字符串
+   */
+  getWallpaperBadge(item) {
+    if (item.kind === 'video') return '视频'
+    if (item.kind === 'animated') return '动图'
+    if (item.source && item.source.refresh) return '自动更新'
+    return ''
+  }
+
+  /**
+   * 切换到壁纸库中的壁纸
+   * @param {string} itemId - 壁纸ID
+   */
+  async selectWallpaper(itemId) {
+    try {
+      await wallpaperLibrary.select(itemId)
+    } catch (error) {
+      console.error('Failed to select wallpaper:', error)
+      alert('切换壁纸失败')
+    }
+  }
+
+  /**
+   * 切换壁纸收藏状态
+   * @param {string} itemId - 壁纸ID
+   */
+  async toggleWallpaperFavorite(itemId) {
+    try {
+      await wallpaperLibrary.toggleFavorite(itemId)
+    } catch (error) {
+      console.error('Failed to toggle wallpaper favorite:', error)
+      alert('收藏壁纸失败')
+    }
+  }
+
+  /**
+   * 从壁纸库删除壁纸
+   * @param {string} itemId - 壁纸ID
+   */
+  async deleteWallpaper(itemId) {
+    if (!confirm('确定要从壁纸库删除这张壁纸吗？')) {
+      return
+    }
+
+    try {
+      await wallpaperLibrary.remove(itemId)
+    } catch (error) {
+      console.error('Failed to delete wallpaper:', error)
+      alert('删除壁纸失败')
+    }
+  }
+
+  /**
+   * 更新壁纸模糊
+   * @param {string} blur - 模糊值
+   */
+  async updateWallpaperBlur(blur) {
+    try {
+      await storageManager.updateCategory('wallpaper', { blur: parseInt(blur) })
+      this.emit('wallpaperBlurChanged', parseInt(blur))
+    } catch (error) {
+      console.error('Failed to update wallpaper blur:', error)
+    }
+  }
+
+  /**
+   * 更新壁纸遮罩透明度
+   * @param {string} opacity - 透明度值
+   */
+  async updateWallpaperOverlayOpacity(opacity) {
+    try {
+      await storageManager.updateCategory('wallpaper', {
+        overlayOpacity: parseFloat(opacity),
+      })
+      this.emit('wallpaperOverlayOpacityChanged', parseFloat(opacity))
+    } catch (error) {
+      console.error('Failed to update wallpaper overlay opacity:', error)
+    }
+  }
+
+  /**
+   * 更新壁纸遮罩颜色
+   * @param {string} color - 遮罩颜色
+   */
+  async updateWallpaperOverlayColor(color) {
+    try {
+      await storageManager.updateCategory('wallpaper', { overlayColor: color })
+      this.emit('wallpaperOverlayColorChanged', color)
+    } catch (error) {
+      console.error('Failed to update wallpaper overlay color:', error)
+    }
+  }
+
+  /**
+   * 填充壁纸图片调整滑块
+   * 正在拖动的滑块不回填，避免存储写入后跳回旧值
+   * @param {Object} wallpaperSettings - 壁纸设置
+   */
+  loadAdjustmentSettings(wallpaperSettings) {
+    const { adjustments, overlayColor } = wallpaperSettings
+
+    this.wallpaperOverlayColor.value = overlayColor
+    this.wallpaperAdjustments.forEach(({ key, input, value }) => {
+      if (input === document.activeElement) return
+      input.value = adjustments[key]
+      value.textContent = `${adjustments[key]}%`
+    })
+  }
+
+  /**
+   * 更新壁纸图片调整
+   * 写入存储时防抖，避免拖动滑块时频繁写入
+   * @param {Object} changes - 要更新的调整项
+   */
+  updateWallpaperAdjustments(changes) {
+    const adjustments = { ...this.wallpaperSettings.adjustments, ...changes }
+    this.wallpaperSettings = { ...this.wallpaperSettings, adjustments }
+
+    if (this.wallpaperAdjustmentsDebounce) {
+      clearTimeout(this.wallpaperAdjustmentsDebounce)
+    }
+    this.wallpaperAdjustmentsDebounce = setTimeout(async () => {
+      try {
+        await storageManager.updateCategory('wallpaper', { adjustments })
+        this.emit('wallpaperAdjustmentsChanged', adjustments)
+      } catch (error) {
+        console.error('Failed to update wallpaper adjustments:', error)
+      }
+    }, 300)
+  }
+
+  /**
+   * 更新默认搜索引擎
+   * @param {string} engineId - 搜索引擎ID
+   */
+  async updateDefaultEngine(engineId) {
+    try {
+      await storageManager.updateCategory('engines', { default: engineId })
+      this.emit('defaultEngineChanged', engineId)
+    } catch (error) {
+      console.error('Failed to update default engine:', error)
     }
   }
 
@@ -513,18 +1814,37 @@ class Settings {
       const engineItem = document.createElement('div')
       engineItem.className = 'engine-item'
 
-      engineItem.innerHTML = `
-                <img src="${engine.icon}" alt="${engine.name}" class="engine-icon">
-                <span class="engine-name">${engine.name}</span>
-                <div class="engine-actions">
-                    <button class="edit-btn" data-id="${engine.id}">编辑</button>
-                    <button class="delete-btn" data-id="${engine.id}">删除</button>
-                </div>
-            `
+      // 名称、图标和关键词可能来自导入的 OpenSearch 描述，不拼接到 HTML 中
+      const icon = document.createElement('img')
+      icon.className = 'engine-icon'
+      icon.setAttribute('src', engine.icon || '')
+      icon.setAttribute('alt', engine.name)
+      engineItem.appendChild(icon)
+
+      const name = document.createElement('span')
+      name.className = 'engine-name'
+      name.textContent = engine.name
+      engineItem.appendChild(name)
+
+      if (engine.keyword) {
+        const keyword = document.createElement('span')
+        keyword.className = 'engine-keyword'
+        keyword.textContent = engine.keyword
+        engineItem.appendChild(keyword)
+      }
+
+      const actions = document.createElement('div')
+      actions.className = 'engine-actions'
+      const editBtn = document.createElement('button')
+      editBtn.className = 'edit-btn'
+      editBtn.textContent = '编辑'
+      const deleteBtn = document.createElement('button')
+      deleteBtn.className = 'delete-btn'
+      deleteBtn.textContent = '删除'
+      actions.append(editBtn, deleteBtn)
+      engineItem.appendChild(actions)
 
       // 绑定编辑和删除事件
-      const editBtn = engineItem.querySelector('.edit-btn')
-      const deleteBtn = engineItem.querySelector('.delete-btn')
 
       editBtn.addEventListener('click', () => {
         this.editEngine(engine.id)
@@ -547,32 +1867,199 @@ class Settings {
   updateDefaultEngineOptions() {
     this.defaultEngine.innerHTML = ''
 
-    this.engines.forEach((engine) => {
-      const option = document.createElement('option')
-      option.value = engine.id
-      option.textContent = engine.name
-      this.defaultEngine.appendChild(option)
-    })
+    this.engines.forEach((engine) => {
+      const option = document.createElement('option')
+      option.value = engine.id
+      option.textContent = engine.name
+      this.defaultEngine.appendChild(option)
+    })
+  }
+
+  /**
+   * 打开搜索引擎模态框
+   * @param {Object} engine - 要编辑的搜索引擎（可选）
+   */
+  openEngineModal(engine = null) {
+    this.editingEngine = engine
+
+    if (engine) {
+      this.engineName.value = engine.name
+      this.engineUrl.value = engine.url
+      this.engineCharset.value = engine.charset || 'UTF-8'
+      this.engineMethod.value = engine.method || 'GET'
+      this.engineParams.value = formatParams(engine.params)
+      this.engineKeyword.value = engine.keyword || ''
+      this.engineIcon.value = engine.icon
+      this.engineSuggestUrl.value = engine.suggestUrl || ''
+    } else {
+      this.engineName.value = ''
+      this.engineUrl.value = ''
+      this.engineCharset.value = 'UTF-8'
+      this.engineMethod.value = 'GET'
+      this.engineParams.value = ''
+      this.engineKeyword.value = ''
+      this.engineIcon.value = ''
+      this.engineSuggestUrl.value = ''
+    }
+
+    this.showImportReport([])
+    this.updateMethodFields()
+    this.updateUrlPreview()
+    this.engineModal.style.display = 'flex'
+  }
+
+  /**
+   * 根据请求方式显示或隐藏 POST 参数
+   */
+  updateMethodFields() {
+    this.engineParamsGroup.style.display =
+      this.engineMethod.value === 'POST' ? '' : 'none'
+  }
+
+  /**
+   * 读取模态框中的请求设置
+   * @returns {Object} { url, charset, method, params }
+   * @throws {Error} POST 参数格式无效时抛出
+   */
+  readEngineRequest() {
+    const method = this.engineMethod.value
+
+    return {
+      url: this.engineUrl.value.trim(),
+      charset: this.engineCharset.value,
+      method,
+      params: method === 'POST' ? parseParams(this.engineParams.value) : [],
+    }
+  }
+
+  /**
+   * 更新搜索URL预览
+   * 模板有误时显示错误信息
+   */
+  updateUrlPreview() {
+    const url = this.engineUrl.value.trim()
+    if (!url) {
+      this.engineUrlPreview.textContent = ''
+      this.engineUrlPreview.classList.remove('error')
+      return
+    }
+
+    let text
+    let error = null
+    try {
+      const request = this.readEngineRequest()
+      error = validateEngineUrl(request)
+
+      if (error) {
+        text = error
+      } else if (request.method === 'POST') {
+        const { action, params } = buildPostRequest(request, SAMPLE_QUERY)
+        const body = params
+          .map(({ name, value }) => `${name}=${value}`)
+          .join('&')
+        text = `预览：POST ${action}  ${body}`
+      } else {
+        text = `预览：${previewTemplate(url, { charset: request.charset })}`
+      }
+    } catch (parseError) {
+      error = parseError.message
+      text = error
+    }
+
+    this.engineUrlPreview.textContent = text
+    this.engineUrlPreview.classList.toggle('error', !!error)
+  }
+
+  /**
+   * 显示 OpenSearch 导入报告
+   * @param {Array} unmapped - 无法映射的字段说明
+   */
+  showImportReport(unmapped) {
+    this.engineImportReport.innerHTML = ''
+    this.engineImportReport.style.display = unmapped.length > 0 ? '' : 'none'
+
+    if (unmapped.length === 0) return
+
+    const title = document.createElement('p')
+    title.textContent = '以下内容未能导入，请检查后手动补充：'
+    this.engineImportReport.appendChild(title)
+
+    const list = document.createElement('ul')
+    unmapped.forEach((message) => {
+      const item = document.createElement('li')
+      item.textContent = message
+      list.appendChild(item)
+    })
+    this.engineImportReport.appendChild(list)
+  }
+
+  /**
+   * 打开 OpenSearch 导入模态框
+   */
+  openOpenSearchModal() {
+    this.openSearchXml.value = ''
+    this.openSearchModal.style.display = 'flex'
+  }
+
+  /**
+   * 关闭 OpenSearch 导入模态框
+   */
+  closeOpenSearchModal() {
+    this.openSearchModal.style.display = 'none'
+  }
+
+  /**
+   * 读取选择的 OpenSearch 描述文件
+   * @param {Event} e - 文件选择事件
+   */
+  async handleOpenSearchFile(e) {
+    const file = e.target.files[0]
+    if (!file) return
+
+    try {
+      this.openSearchXml.value = await file.text()
+    } catch (error) {
+      console.error('Failed to read OpenSearch file:', error)
+      alert('读取文件失败')
+    }
+
+    // 清空文件输入，允许重复选择同一文件
+    e.target.value = ''
   }
 
   /**
-   * 打开搜索引擎模态框
-   * @param {Object} engine - 要编辑的搜索引擎（可选）
+   * 导入 OpenSearch 描述文档
+   * 解析成功后在搜索引擎模态框中预填字段，由用户确认后保存
    */
-  openEngineModal(engine = null) {
-    this.editingEngine = engine
+  importOpenSearch() {
+    const xml = this.openSearchXml.value.trim()
+    if (!xml) {
+      alert('请粘贴 OpenSearch 描述文档或选择 .xml 文件')
+      return
+    }
 
-    if (engine) {
-      this.engineName.value = engine.name
-      this.engineUrl.value = engine.url
-      this.engineIcon.value = engine.icon
-    } else {
-      this.engineName.value = ''
-      this.engineUrl.value = ''
-      this.engineIcon.value = ''
+    let result
+    try {
+      result = parseOpenSearchDescription(xml)
+    } catch (error) {
+      alert('导入失败: ' + error.message)
+      return
     }
 
-    this.engineModal.style.display = 'flex'
+    const { engine, unmapped } = result
+    this.closeOpenSearchModal()
+    this.openEngineModal()
+
+    this.engineName.value = engine.name
+    this.engineUrl.value = engine.url
+    this.engineCharset.value = engine.charset
+    this.engineMethod.value = engine.method
+    this.engineParams.value = formatParams(engine.params)
+    this.engineIcon.value = engine.icon
+    this.engineSuggestUrl.value = engine.suggestUrl
+    this.showImportReport(unmapped)
+    this.updateMethodFields()
+    this.updateUrlPreview()
   }
 
   /**
@@ -588,16 +2075,44 @@ class Settings {
    */
   async saveEngine() {
     const name = this.engineName.value.trim()
-    const url = this.engineUrl.value.trim()
+    const keyword = this.engineKeyword.value.trim()
     const icon = this.engineIcon.value.trim()
+    const suggestUrl = this.engineSuggestUrl.value.trim()
+
+    let request
+    try {
+      request = this.readEngineRequest()
+    } catch (error) {
+      alert(error.message)
+      return
+    }
+    const { url, charset, method, params } = request
 
     if (!name || !url) {
       alert('请填写搜索引擎名称和URL')
       return
     }
 
-    if (!url.includes('%s')) {
-      alert('搜索URL必须包含 %s 作为关键词占位符')
+    const urlError = validateEngineUrl(request)
+    if (urlError) {
+      alert(urlError)
+      return
+    }
+
+    const suggestUrlError =
+      suggestUrl && validateTemplate(suggestUrl, { label: '建议URL', charset })
+    if (suggestUrlError) {
+      alert(suggestUrlError)
+      return
+    }
+
+    const keywordError = validateKeyword(
+      keyword,
+      [...this.engines, ...this.groups],
+      this.editingEngine ? this.editingEngine.id : null,
+    )
+    if (keywordError) {
+      alert(keywordError)
       return
     }
 
@@ -612,7 +2127,12 @@ class Settings {
             ...this.engines[index],
             name,
             url,
+            charset,
+            method,
+            params,
+            keyword,
             icon: icon || this.engines[index].icon,
+            suggestUrl,
           }
         }
       } else {
@@ -621,7 +2141,12 @@ class Settings {
           id: `custom_${Date.now()}`,
           name,
           url,
+          charset,
+          method,
+          params,
+          keyword,
           icon: icon || 'assets/ui/search.svg',
+          suggestUrl,
         }
         this.engines.push(newEngine)
       }
@@ -666,20 +2191,249 @@ class Settings {
     try {
       this.engines = this.engines.filter((e) => e.id !== engineId)
 
+      // 从搜索引擎组中移除该引擎
+      this.groups = this.groups.map((group) => ({
+        ...group,
+        engines: group.engines.filter((id) => id !== engineId),
+      }))
+
       // 保存到存储
-      await storageManager.updateCategory('engines', { list: this.engines })
+      await storageManager.updateCategory('engines', {
+        list: this.engines,
+        groups: this.groups,
+      })
 
       // 重新渲染列表
       this.renderEnginesList()
+      this.renderGroupsList()
 
       // 触发事件
       this.emit('enginesUpdated', this.engines)
+      this.emit('engineGroupsUpdated', {
+        groups: this.groups,
+        defaultGroup: this.defaultGroupId,
+      })
     } catch (error) {
       console.error('Failed to delete engine:', error)
       alert('删除搜索引擎失败')
     }
   }
 
+  /**
+   * 渲染搜索引擎组列表
+   */
+  renderGroupsList() {
+    this.groupsList.innerHTML = ''
+
+    this.groups.forEach((group) => {
+      const engineNames = group.engines
+        .map((id) => this.engines.find((engine) => engine.id === id))
+        .filter(Boolean)
+        .map((engine) => engine.name)
+        .join('、')
+
+      const groupItem = document.createElement('div')
+      groupItem.className = 'engine-item'
+
+      groupItem.innerHTML = `
+                <span class="engine-name"><small class="group-engines-summary"></small></span>
+                <div class="engine-actions">
+                    <button class="edit-btn">编辑</button>
+                    <button class="delete-btn">删除</button>
+                </div>
+            `
+
+      // 组名和引擎名称可能来自导入的数据，使用 textContent 填充
+      const name = groupItem.querySelector('.engine-name')
+      name.prepend(group.name)
+      name.querySelector('.group-engines-summary').textContent =
+        engineNames || '未选择搜索引擎'
+
+      if (group.keyword) {
+        const keyword = document.createElement('span')
+        keyword.className = 'engine-keyword'
+        keyword.textContent = group.keyword
+        name.after(keyword)
+      }
+
+      groupItem.querySelector('.edit-btn').addEventListener('click', () => {
+        this.openGroupModal(group)
+      })
+
+      groupItem.querySelector('.delete-btn').addEventListener('click', () => {
+        this.deleteGroup(group.id)
+      })
+
+      this.groupsList.appendChild(groupItem)
+    })
+
+    // 更新默认搜索引擎组下拉框
+    this.defaultGroup.innerHTML = ''
+    this.groups.forEach((group) => {
+      const option = document.createElement('option')
+      option.value = group.id
+      option.textContent = group.name
+      this.defaultGroup.appendChild(option)
+    })
+    if (this.groups.some((group) => group.id === this.defaultGroupId)) {
+      this.defaultGroup.value = this.defaultGroupId
+    }
+  }
+
+  /**
+   * 更新 Ctrl+Enter 使用的默认搜索引擎组
+   * @param {string} groupId - 搜索引擎组ID
+   */
+  async updateDefaultGroup(groupId) {
+    try {
+      this.defaultGroupId = groupId
+      await storageManager.updateCategory('engines', { defaultGroup: groupId })
+      this.emit('engineGroupsUpdated', {
+        groups: this.groups,
+        defaultGroup: groupId,
+      })
+    } catch (error) {
+      console.error('Failed to update default group:', error)
+    }
+  }
+
+  /**
+   * 打开搜索引擎组模态框
+   * @param {Object} group - 要编辑的搜索引擎组（可选）
+   */
+  openGroupModal(group = null) {
+    this.editingGroup = group
+    this.groupName.value = group ? group.name : ''
+    this.groupKeyword.value = group ? group.keyword || '' : ''
+
+    // 渲染搜索引擎复选框
+    this.groupEngines.innerHTML = ''
+    this.engines.forEach((engine) => {
+      const label = document.createElement('label')
+      label.className = 'checkbox-item'
+
+      const checkbox = document.createElement('input')
+      checkbox.type = 'checkbox'
+      checkbox.value = engine.id
+      checkbox.checked = !!group && group.engines.includes(engine.id)
+
+      label.appendChild(checkbox)
+      label.appendChild(document.createTextNode(engine.name))
+      this.groupEngines.appendChild(label)
+    })
+
+    this.groupModal.style.display = 'flex'
+  }
+
+  /**
+   * 关闭搜索引擎组模态框
+   */
+  closeGroupModal() {
+    this.groupModal.style.display = 'none'
+    this.editingGroup = null
+  }
+
+  /**
+   * 保存搜索引擎组
+   */
+  async saveGroup() {
+    const name = this.groupName.value.trim()
+    const keyword = this.groupKeyword.value.trim()
+    const engines = [
+      ...this.groupEngines.querySelectorAll('input[type="checkbox"]:checked'),
+    ].map((checkbox) => checkbox.value)
+
+    if (!name) {
+      alert('请填写搜索引擎组名称')
+      return
+    }
+
+    if (engines.length < 2) {
+      alert('请至少选择两个搜索引擎')
+      return
+    }
+
+    const keywordError = validateKeyword(
+      keyword,
+      [...this.engines, ...this.groups],
+      this.editingGroup ? this.editingGroup.id : null,
+    )
+    if (keywordError) {
+      alert(keywordError)
+      return
+    }
+
+    try {
+      if (this.editingGroup) {
+        // 编辑现有搜索引擎组
+        this.groups = this.groups.map((group) =>
+          group.id === this.editingGroup.id
+            ? { ...group, name, keyword, engines }
+            : group,
+        )
+      } else {
+        // 添加新搜索引擎组
+        this.groups.push({
+          id: `group_${Date.now()}`,
+          name,
+          keyword,
+          engines,
+        })
+      }
+
+      // 没有默认组时使用第一个组
+      if (!this.groups.some((group) => group.id === this.defaultGroupId)) {
+        this.defaultGroupId = this.groups[0].id
+      }
+
+      await storageManager.updateCategory('engines', {
+        groups: this.groups,
+        defaultGroup: this.defaultGroupId,
+      })
+
+      this.renderGroupsList()
+      this.closeGroupModal()
+      this.emit('engineGroupsUpdated', {
+        groups: this.groups,
+        defaultGroup: this.defaultGroupId,
+      })
+    } catch (error) {
+      console.error('Failed to save engine group:', error)
+      alert('保存搜索引擎组失败')
+    }
+  }
+
+  /**
+   * 删除搜索引擎组
+   * @param {string} groupId - 搜索引擎组ID
+   */
+  async deleteGroup(groupId) {
+    if (!confirm('确定要删除这个搜索引擎组吗？')) {
+      return
+    }
+
+    try {
+      this.groups = this.groups.filter((group) => group.id !== groupId)
+      if (this.defaultGroupId === groupId) {
+        this.defaultGroupId = this.groups.length > 0 ? this.groups[0].id : null
+      }
+
+      await storageManager.updateCategory('engines', {
+        groups: this.groups,
+        defaultGroup: this.defaultGroupId,
+      })
+
+      this.renderGroupsList()
+      this.emit('engineGroupsUpdated', {
+        groups: this.groups,
+        defaultGroup: this.defaultGroupId,
+      })
+    } catch (error) {
+      console.error('Failed to delete engine group:', error)
+      alert('删除搜索引擎组失败')
+    }
+  }
+
   /**
    * 更新主题
    * @param {string} theme - 主题模式
@@ -693,6 +2447,300 @@ class Settings {
     }
   }
 
+  /**
+   * 更新是否根据壁纸自动调整文字颜色
+   * @param {boolean} enabled - 是否启用
+   */
+  async updateAutoContrast(enabled) {
+    try {
+      await storageManager.updateCategory('theme', { autoContrast: enabled })
+      this.emit('autoContrastChanged', enabled)
+    } catch (error) {
+      console.error('Failed to update auto contrast:', error)
+    }
+  }
+
+  /**
+   * 选中主题选项
+   * 主题不存在（例如自定义主题已被删除）时选中"跟随系统"
+   * @param {string} mode - 主题模式或自定义主题ID
+   */
+  checkThemeOption(mode) {
+    const radios = [
+      ...this.themeOptions.querySelectorAll('input[name="theme"]'),
+    ]
+    const radio =
+      radios.find((item) => item.value === mode) ||
+      radios.find((item) => item.value === 'system')
+    radio.checked = true
+  }
+
+  /**
+   * 渲染自定义主题选项
+   * 自定义主题显示在内置主题之后，保留当前的选中状态
+   */
+  renderCustomThemes() {
+    const selected = this.themeOptions.querySelector(
+      'input[name="theme"]:checked',
+    )
+    const selectedMode = selected ? selected.value : 'system'
+
+    this.themeOptions
+      .querySelectorAll('.custom-theme-option')
+      .forEach((option) => option.remove())
+
+    this.customThemes.forEach((theme) => {
+      const swatches = Object.entries(THEME_COLORS)
+        .map(
+          ([key, label]) =>
+            `<span class="theme-swatch" style="background-color: ${theme.colors[key]}" title="${label}"></span>`,
+        )
+        .join('')
+
+      const option = document.createElement('div')
+      option.className = 'theme-option custom-theme-option'
+      option.innerHTML = `
+                <input type="radio" id="theme-${theme.id}" name="theme" value="${theme.id}">
+                <label for="theme-${theme.id}"></label>
+                <span class="theme-swatches">${swatches}</span>
+                <div class="engine-actions">
+                    <button class="edit-btn" data-action="edit">编辑</button>
+                    <button class="edit-btn" data-action="export">导出</button>
+                    <button class="delete-btn" data-action="delete">删除</button>
+                </div>
+            `
+      // 名称可能来自导入的文件，以文本形式写入
+      option.querySelector('label').textContent = theme.name
+
+      option
+        .querySelector('[data-action="edit"]')
+        .addEventListener('click', () => {
+          this.openThemeModal(theme)
+        })
+      option
+        .querySelector('[data-action="export"]')
+        .addEventListener('click', () => {
+          this.exportCustomTheme(theme)
+        })
+      option
+        .querySelector('[data-action="delete"]')
+        .addEventListener('click', () => {
+          this.deleteCustomTheme(theme.id)
+        })
+
+      this.themeOptions.appendChild(option)
+    })
+
+    this.checkThemeOption(selectedMode)
+  }
+
+  /**
+   * 打开自定义主题模态框
+   * @param {Object} theme - 要编辑的自定义主题（可选）
+   */
+  openThemeModal(theme = null) {
+    this.editingTheme = theme
+    this.fillThemeForm(theme || { name: '', colors: DEFAULT_THEME_COLORS })
+    this.themeModal.style.display = 'flex'
+  }
+
+  /**
+   * 关闭自定义主题模态框
+   */
+  closeThemeModal() {
+    this.themeModal.style.display = 'none'
+    this.editingTheme = null
+  }
+
+  /**
+   * 填写自定义主题表单
+   * @param {Object} theme - { name, colors }
+   */
+  fillThemeForm({ name, colors }) {
+    this.customThemeName.value = name
+    this.customThemeColors.forEach(({ key, input }) => {
+      input.value = colors[key]
+    })
+    this.updateThemeContrast()
+  }
+
+  /**
+   * 获取表单中的主题颜色
+   * @returns {Object} { accent, surface, text, border }
+   */
+  getThemeFormColors() {
+    return Object.fromEntries(
+      this.customThemeColors.map(({ key, input }) => [key, input.value]),
+    )
+  }
+
+  /**
+   * 显示文字与背景颜色的对比度，低于 WCAG 建议值时提示
+   */
+  updateThemeContrast() {
+    const { text, surface } = this.getThemeFormColors()
+    const ratio = getContrastRatio(text, surface)
+    const sufficient = ratio >= MIN_CONTRAST_RATIO
+
+    this.customThemeContrast.textContent =
+      `文字与背景的对比度为 ${ratio.toFixed(1)}:1` +
+      (sufficient ? '' : `，低于建议的 ${MIN_CONTRAST_RATIO}:1`)
+    this.customThemeContrast.classList.toggle('error', !sufficient)
+  }
+
+  /**
+   * 保存自定义主题
+   */
+  async saveCustomTheme() {
+    let theme
+    try {
+      theme = normalizeTheme({
+        name: this.customThemeName.value,
+        colors: this.getThemeFormColors(),
+      })
+    } catch (error) {
+      alert(error.message)
+      return
+    }
+
+    if (!this.editingTheme && this.customThemes.length >= MAX_CUSTOM_THEMES) {
+      alert(`最多只能保存${MAX_CUSTOM_THEMES}个自定义主题`)
+      return
+    }
+
+    try {
+      if (this.editingTheme) {
+        // 编辑现有主题
+        this.customThemes = this.customThemes.map((item) =>
+          item.id === this.editingTheme.id ? { ...item, ...theme } : item,
+        )
+      } else {
+        // 添加新主题
+        this.customThemes.push({ id: `theme_${Date.now()}`, ...theme })
+      }
+
+      await storageManager.updateCategory('theme', {
+        custom: this.customThemes,
+      })
+
+      this.renderCustomThemes()
+      this.closeThemeModal()
+      this.emit('customThemesUpdated', this.customThemes)
+    } catch (error) {
+      console.error('Failed to save custom theme:', error)
+      alert('保存自定义主题失败')
+    }
+  }
+
+  /**
+   * 删除自定义主题
+   * 删除正在使用的主题时恢复跟随系统
+   * @param {string} themeId - 自定义主题ID
+   */
+  async deleteCustomTheme(themeId) {
+    if (!confirm('确定要删除这个自定义主题吗？')) {
+      return
+    }
+
+    try {
+      const selected = this.themeOptions.querySelector(
+        'input[name="theme"]:checked',
+      )
+      this.customThemes = this.customThemes.filter(
+        (theme) => theme.id !== themeId,
+      )
+
+      const updates = { custom: this.customThemes }
+      if (selected && selected.value === themeId) {
+        updates.mode = 'system'
+      }
+      await storageManager.updateCategory('theme', updates)
+
+      this.renderCustomThemes()
+      this.emit('customThemesUpdated', this.customThemes)
+    } catch (error) {
+      console.error('Failed to delete custom theme:', error)
+      alert('删除自定义主题失败')
+    }
+  }
+
+  /**
+   * 导出自定义主题为 JSON 文件
+   * @param {Object} theme - 自定义主题
+   */
+  exportCustomTheme(theme) {
+    const blob = new Blob([serializeTheme(theme)], {
+      type: 'application/json',
+    })
+    const url = URL.createObjectURL(blob)
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${theme.name}.json`
+    link.click()
+
+    // 等待下载开始后再释放
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  }
+
+  /**
+   * 打开主题导入模态框
+   */
+  openThemeImportModal() {
+    this.themeImportJson.value = ''
+    this.themeImportModal.style.display = 'flex'
+  }
+
+  /**
+   * 关闭主题导入模态框
+   */
+  closeThemeImportModal() {
+    this.themeImportModal.style.display = 'none'
+  }
+
+  /**
+   * 读取选择的主题文件
+   * @param {Event} e - 文件选择事件
+   */
+  async handleThemeImportFile(e) {
+    const file = e.target.files[0]
+    if (!file) return
+
+    try {
+      this.themeImportJson.value = await file.text()
+    } catch (error) {
+      console.error('Failed to read theme file:', error)
+      alert('读取文件失败')
+    }
+
+    // 清空文件输入，允许重复选择同一文件
+    e.target.value = ''
+  }
+
+  /**
+   * 导入主题配色
+   * 解析成功后在自定义主题模态框中预填字段，由用户确认后保存
+   */
+  importCustomTheme() {
+    const text = this.themeImportJson.value.trim()
+    if (!text) {
+      alert('请粘贴主题配色或选择 .json 文件')
+      return
+    }
+
+    let theme
+    try {
+      theme = parseThemeJson(text)
+    } catch (error) {
+      alert('导入失败: ' + error.message)
+      return
+    }
+
+    this.closeThemeImportModal()
+    this.openThemeModal()
+    this.fillThemeForm(theme)
+  }
+
   /**
    * 处理重置设置
    */
@@ -710,6 +2758,7 @@ class Settings {
         searchOpacity: 0.8,
         openIn: 'new-tab',
         tabSwitch: true,
+        suggestions: true,
       }
 
       await storageManager.updateCategory('general', defaultGeneral)
@@ -725,6 +2774,7 @@ class Settings {
       this.searchOpacityValue.textContent = defaultGeneral.searchOpacity
       this.openIn.value = defaultGeneral.openIn
       this.tabSwitch.checked = defaultGeneral.tabSwitch
+      this.suggestionsSwitch.checked = defaultGeneral.suggestions
 
       // 触发事件
       this.emit('searchWidthChanged', defaultGeneral.searchWidth)
@@ -733,6 +2783,7 @@ class Settings {
       this.emit('searchOpacityChanged', defaultGeneral.searchOpacity)
       this.emit('openInChanged', defaultGeneral.openIn)
       this.emit('tabSwitchChanged', defaultGeneral.tabSwitch)
+      this.emit('suggestionsChanged', defaultGeneral.suggestions)
 
       alert('设置已重置为默认值')
     } catch (error) {
@@ -751,6 +2802,7 @@ class Settings {
 
     try {
       await storageManager.clear()
+      await assetStore.clear()
       alert('数据已清理完成，刷新页面后将使用默认值')
       // 刷新页面以应用默认值
       location.reload()
@@ -2,10 +2,25 @@
  * 数据存储管理器
  * 封装 chrome.storage.local API，提供 Promise 化的接口
  */
+import {
+  migrateSettings,
+  getSchemaVersion,
+  CURRENT_SCHEMA_VERSION,
+} from './migrations.js'
+import assetStore from './asset-store.js'
+
+// 设置迁移使用的锁名称，后台脚本和各个页面共用
+const MIGRATION_LOCK = 'tabExtensionSettingsMigration'
+
+// 迁移期间设置被修改时重新迁移的最多次数
+const MAX_MIGRATION_ATTEMPTS = 3
+
 class StorageManager {
   constructor() {
     this.storageKey = 'tabExtensionSettings'
     this.defaultSettings = {
+      // 设置结构版本，用于升级时迁移旧数据
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       // 常规设置
       general: {
         searchWidth: 40, // 视口宽度百分比 (30-70)
@@ -14,12 +29,72 @@ class StorageManager {
         searchOpacity: 0.8,
         openIn: 'new-tab', // 'new-tab' | 'current-tab'
         tabSwitch: true,
+        suggestions: true, // 输入时显示搜索建议
       },
       // 壁纸设置
       wallpaper: {
         imageUrl: 'assets/images/default.png', // 默认背景图片
+        library: [], // 壁纸库，图片保存在 IndexedDB 中
+        currentId: null, // 当前壁纸ID，null 表示使用默认壁纸
+        // 轮换设置：mode 为 off/newtab/interval/daily/schedule，interval 单位为分钟
+        rotation: {
+          mode: 'off',
+          interval: 60,
+          order: 'sequential',
+          favoritesOnly: false,
+        },
+        // 轮换状态，所有标签页共享
+        rotationState: { sequence: [], index: -1, changedAt: 0 },
+        // 按时段切换：每个时段从 start (HH:mm) 开始，itemId 为 null 时使用当前壁纸
+        schedule: [
+          { name: '早晨', start: '06:00', itemId: null },
+          { name: '下午', start: '12:00', itemId: null },
+          { name: '傍晚', start: '18:00', itemId: null },
+          { name: '夜间', start: '22:00', itemId: null },
+        ],
+        // 上传处理：按屏幕分辨率缩小后重新编码，maxDimension 为最长边上限（0 表示不限制）
+        upload: {
+          maxDimension: 3840,
+          format: 'image/webp', // 'image/webp' | 'image/jpeg'
+          quality: 0.85,
+        },
+        type: 'image', // 'image' | 'color' | 'gradient' | 'pattern'
+        color: '#1d1d1f', // 纯色背景
+        gradient: {
+          type: 'linear', // 'linear' | 'radial'
+          angle: 135,
+          stops: [
+            { color: '#4facfe', position: 0 },
+            { color: '#00f2fe', position: 100 },
+          ],
+        },
+        pattern: {
+          name: 'dots', // 'dots' | 'grid' | 'stripes' | 'checker'
+          foreground: '#3a3a3c',
+          background: '#1d1d1f',
+          size: 24,
+        },
         blur: 0,
         overlayOpacity: 0.3,
+        overlayColor: '#000000', // 遮罩颜色
+        // 图片调整（百分比）：亮度、对比度、饱和度、灰度和暗角强度
+        adjustments: {
+          brightness: 100,
+          contrast: 100,
+          saturation: 100,
+          grayscale: 0,
+          vignette: 0,
+        },
+        fit: 'cover', // 'cover' | 'contain' | 'fill' | 'tile' | 'center'
+        focalPoint: { x: 50, y: 50 }, // 默认壁纸的焦点（百分比），壁纸库中的图片各自保存
+        backgroundColor: '#000000', // 图片未铺满时的背景颜色
+        // 深色模式壁纸：启用后在深色主题下替换图片、模糊和遮罩
+        dark: {
+          enabled: false,
+          currentId: null, // 壁纸库中的壁纸ID，null 表示默认壁纸
+          blur: 0,
+          overlayOpacity: 0.5,
+        },
       },
       // 搜索引擎设置
       engines: {
@@ -28,39 +103,68 @@ class StorageManager {
           {
             id: 'google',
             name: 'Google',
+            keyword: 'g',
             url: 'https://www.google.com/search?q=%s',
+            suggestUrl:
+              'https://suggestqueries.google.com/complete/search?client=firefox&q=%s',
             icon: 'assets/icons/google.ico',
           },
           {
             id: 'bing',
             name: 'Bing',
+            keyword: 'b',
             url: 'https://www.bing.com/search?q=%s',
+            suggestUrl: 'https://api.bing.com/osjson.aspx?query=%s',
             icon: 'assets/icons/bing.ico',
           },
           {
             id: 'baidu',
             name: '百度',
+            keyword: 'bd',
             url: 'https://www.baidu.com/s?wd=%s',
+            suggestUrl:
+              'https://suggestion.baidu.com/su?wd=%s&action=opensearch&ie=utf-8',
             icon: 'assets/icons/baidu.ico',
           },
           {
             id: 'duckduckgo',
             name: 'DuckDuckGo',
+            keyword: 'ddg',
             url: 'https://duckduckgo.com/?q=%s',
+            suggestUrl: 'https://duckduckgo.com/ac/?q=%s&type=list',
             icon: 'assets/icons/duckduckgo.ico',
           },
         ],
+        // 搜索引擎组：Ctrl+Enter 或输入组关键词时同时在多个引擎中搜索
+        defaultGroup: 'compare',
+        groups: [
+          {
+            id: 'compare',
+            name: '对比搜索',
+            keyword: 'all',
+            engines: ['google', 'bing', 'baidu'],
+          },
+        ],
       },
       // 主题设置
       theme: {
-        mode: 'system', // 'system' | 'light' | 'dark'
+        mode: 'system', // 'system' | 'light' | 'dark' 或自定义主题ID
+        custom: [], // 自定义主题 { id, name, base, colors: { accent, surface, text, border } }
+        autoContrast: false, // 根据壁纸自动选择时钟文字颜色
+      },
+      // 搜索历史
+      history: {
+        paused: false, // 暂停记录
+        maxSize: 200, // 最多保留条数
+        retentionDays: 90, // 保留天数，0 表示永久保留
+        entries: [], // { query, engineId, timestamp, count }
       },
     }
   }
 
   /**
    * 初始化存储
-   * 如果没有存储数据，则使用默认设置
+   * 如果没有存储数据，则使用默认设置；否则先迁移旧版本数据
    */
   async init() {
     try {
@@ -69,13 +173,85 @@ class StorageManager {
         await this.set(this.defaultSettings)
         return this.defaultSettings
       }
-      return this.mergeWithDefaults(data)
+      return this.mergeWithDefaults(await this.migrate(data))
     } catch (error) {
       console.error('Storage initialization failed:', error)
       return this.defaultSettings
     }
   }
 
+  /**
+   * 迁移旧版本的设置数据
+   * 后台脚本和各个页面可能同时迁移，通过锁保证同一时间只有一处执行，
+   * 取得锁后重新读取存储，已被其他地方迁移过的数据不再重复处理
+   * 迁移失败时保留原数据不变
+   * @param {Object} [data] - 已读取的设置，省略时从存储读取
+   * @returns {Promise<Object|null>} 迁移后的设置，没有存储数据时返回 null
+   */
+  async migrate(data) {
+    const stored = data || (await this.get())
+    if (!stored || getSchemaVersion(stored) >= CURRENT_SCHEMA_VERSION) {
+      return stored || null
+    }
+
+    return navigator.locks.request(MIGRATION_LOCK, async () => {
+      let settings = stored
+      try {
+        for (let attempt = 0; attempt < MAX_MIGRATION_ATTEMPTS; attempt++) {
+          const current = await this.get()
+          if (!current) return null
+
+          const result = await migrateSettings(current, {
+            defaults: this.defaultSettings,
+            assetStore,
+          })
+          settings = result.settings
+          if (!result.changed) return settings
+
+          if (await this.saveMigrated(current, settings)) {
+            console.log(
+              `设置已从版本 ${result.fromVersion} 迁移到 ${result.toVersion}`,
+            )
+            return settings
+          }
+        }
+        throw new Error('迁移期间设置被反复修改')
+      } catch (error) {
+        console.error('Failed to migrate settings:', error)
+        return settings
+      }
+    })
+  }
+
+  /**
+   * 保存迁移结果
+   * 只写入迁移改动过的类别，并合并到最新读取的设置上，不覆盖迁移期间其他类别的修改
+   * @param {Object} original - 迁移前读取的设置
+   * @param {Object} migrated - 迁移后的设置
+   * @returns {Promise<boolean>} 是否已保存；迁移改动的类别在此期间被修改时返回 false，需要重新迁移
+   */
+  async saveMigrated(original, migrated) {
+    const latest = (await this.get()) || {}
+    if (getSchemaVersion(latest) >= getSchemaVersion(migrated)) return true
+
+    const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+    const updates = {}
+    for (const key of Object.keys(migrated)) {
+      if (key === 'schemaVersion' || isSame(original[key], migrated[key])) {
+        continue
+      }
+      if (!isSame(original[key], latest[key])) return false
+      updates[key] = migrated[key]
+    }
+
+    await this.set({
+      ...latest,
+      ...updates,
+      schemaVersion: migrated.schemaVersion,
+    })
+    return true
+  }
+
   /**
    * 获取所有设置
    * @returns {Promise<Object>} 设置对象
@@ -117,9 +293,14 @@ class StorageManager {
   async getCategory(category) {
     try {
       const allSettings = await this.get()
-      return allSettings
-        ? allSettings[category]
-        : this.defaultSettings[category]
+      if (!allSettings || !allSettings[category]) {
+        return this.defaultSettings[category]
+      }
+      // 补齐旧数据中缺失的字段
+      return {
+        ...this.defaultSettings[category],
+        ...allSettings[category],
+      }
     } catch (error) {
       console.error(`Failed to get category ${category}:`, error)
       return this.defaultSettings[category]
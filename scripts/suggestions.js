@@ -0,0 +1,274 @@
+/**
+ * 搜索建议模块
+ * 负责获取搜索建议并渲染搜索框下方的下拉列表
+ */
+import historyManager from './history.js'
+import { expandTemplate } from './url-template.js'
+
+class Suggestions {
+  /**
+   * @param {Object} handlers - 回调函数
+   * @param {Function} handlers.onSelect - 选中建议时的回调，参数为建议文本
+   * @param {Function} handlers.onDelete - 删除历史记录时的回调，参数为关键词
+   */
+  constructor({ onSelect, onDelete }) {
+    this.listElement = document.getElementById('search-suggestions')
+    this.onSelect = onSelect
+    this.onDelete = onDelete
+    this.items = [] // { text, type: 'history' | 'suggestion' }
+    this.activeIndex = -1
+    this.typedQuery = ''
+    this.debounceTimer = null
+    this.abortController = null
+    this.debounceDelay = 150 // 输入防抖间隔 (ms)
+    this.maxItems = 8
+    this.maxHistoryItems = 3 // 同时显示网络建议时最多显示的历史条数
+    this.init()
+  }
+
+  /**
+   * 初始化建议列表
+   */
+  init() {
+    if (!this.listElement) return
+
+    // 使用 mousedown 而不是 click，避免输入框先失去焦点导致列表被隐藏
+    this.listElement.addEventListener('mousedown', (e) => {
+      e.preventDefault()
+
+      const item = e.target.closest('.suggestion-item')
+      if (!item) return
+
+      const suggestion = this.items[Number(item.dataset.index)]
+      if (!suggestion) return
+
+      if (e.target.closest('.suggestion-delete')) {
+        this.onDelete(suggestion.text)
+      } else {
+        this.onSelect(suggestion.text)
+      }
+    })
+  }
+
+  /**
+   * 请求搜索建议（带防抖）
+   * 历史记录显示在最上方，搜索引擎无建议接口时仅显示历史记录
+   * @param {string} query - 用户输入
+   * @param {Object|null} engine - 当前搜索引擎
+   * @param {Array} historyEntries - 本地搜索历史
+   */
+  request(query, engine, historyEntries = []) {
+    this.cancel()
+    this.typedQuery = query
+
+    if (!query.trim()) {
+      this.hide()
+      return
+    }
+
+    this.debounceTimer = setTimeout(async () => {
+      this.debounceTimer = null
+
+      if (!engine || !engine.suggestUrl) {
+        this.render(this.matchHistory(query, historyEntries, this.maxItems), [])
+        return
+      }
+
+      const remote = await this.fetchRemote(engine, query)
+      // 请求被取消（用户继续输入）时直接放弃本次结果
+      if (remote === null) return
+
+      this.render(
+        this.matchHistory(query, historyEntries, this.maxHistoryItems),
+        remote,
+      )
+    }, this.debounceDelay)
+  }
+
+  /**
+   * 从搜索引擎的建议接口获取建议
+   * 接口需返回 OpenSearch 格式: ["query", ["建议1", "建议2", ...]]
+   * @param {Object} engine - 搜索引擎，suggestUrl 为建议接口的URL模板
+   * @param {string} query - 查询关键词
+   * @returns {Promise<Array|null>} 建议列表，请求被取消时返回 null
+   */
+  async fetchRemote(engine, query) {
+    this.abortController = new AbortController()
+    const { signal } = this.abortController
+
+    try {
+      const url = expandTemplate(engine.suggestUrl, query, {
+        charset: engine.charset,
+      })
+      const response = await fetch(url, { signal })
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+
+      const data = await response.json()
+      return this.parseOpenSearch(data)
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return null
+      }
+      console.error('Failed to fetch suggestions:', error)
+      return []
+    } finally {
+      if (this.abortController && this.abortController.signal === signal) {
+        this.abortController = null
+      }
+    }
+  }
+
+  /**
+   * 解析 OpenSearch 建议格式
+   * @param {*} data - 接口返回的 JSON
+   * @returns {Array} 建议文本列表
+   */
+  parseOpenSearch(data) {
+    if (!Array.isArray(data) || !Array.isArray(data[1])) {
+      return []
+    }
+
+    return data[1]
+      .filter((item) => typeof item === 'string' && item.trim() !== '')
+      .slice(0, this.maxItems)
+  }
+
+  /**
+   * 在本地搜索历史中匹配建议
+   * @param {string} query - 查询关键词
+   * @param {Array} entries - 历史记录列表
+   * @param {number} limit - 最大返回数量
+   * @returns {Array} 关键词列表
+   */
+  matchHistory(query, entries, limit) {
+    return historyManager
+      .match(entries, query, limit)
+      .map((entry) => entry.query)
+  }
+
+  /**
+   * 渲染建议列表
+   * @param {Array} historyItems - 历史记录关键词
+   * @param {Array} remoteItems - 搜索引擎返回的建议
+   */
+  render(historyItems, remoteItems) {
+    if (!this.listElement) return
+
+    // 网络建议中去掉已在历史区出现的关键词
+    const seen = new Set(historyItems.map((text) => text.toLowerCase()))
+    const suggestions = remoteItems
+      .filter((text) => !seen.has(text.toLowerCase()))
+      .slice(0, this.maxItems - historyItems.length)
+
+    this.items = [
+      ...historyItems.map((text) => ({ text, type: 'history' })),
+      ...suggestions.map((text) => ({ text, type: 'suggestion' })),
+    ]
+    this.activeIndex = -1
+    this.listElement.innerHTML = ''
+
+    if (this.items.length === 0) {
+      this.hide()
+      return
+    }
+
+    this.items.forEach((suggestion, index) => {
+      // 分区标题
+      if (index === 0 || suggestion.type !== this.items[index - 1].type) {
+        const title = document.createElement('li')
+        title.className = 'suggestion-section'
+        title.textContent =
+          suggestion.type === 'history' ? '搜索历史' : '搜索建议'
+        this.listElement.appendChild(title)
+      }
+
+      const item = document.createElement('li')
+      item.className = `suggestion-item ${suggestion.type}`
+      item.dataset.index = index
+
+      const text = document.createElement('span')
+      text.className = 'suggestion-text'
+      text.textContent = suggestion.text
+      item.appendChild(text)
+
+      if (suggestion.type === 'history') {
+        const deleteBtn = document.createElement('button')
+        deleteBtn.className = 'suggestion-delete'
+        deleteBtn.title = '删除此记录'
+        deleteBtn.textContent = '×'
+        item.appendChild(deleteBtn)
+      }
+
+      this.listElement.appendChild(item)
+    })
+
+    this.listElement.classList.add('open')
+  }
+
+  /**
+   * 移动高亮项
+   * @param {number} step - 移动步长 (1 向下, -1 向上)
+   * @returns {string} 应显示在输入框中的文本
+   */
+  move(step) {
+    const count = this.items.length
+    if (count === 0) return this.typedQuery
+
+    // -1 表示回到用户输入的原始文本
+    let next = this.activeIndex + step
+    if (next >= count) next = -1
+    if (next < -1) next = count - 1
+    this.activeIndex = next
+
+    this.listElement
+      .querySelectorAll('.suggestion-item')
+      .forEach((item, index) => {
+        item.classList.toggle('active', index === next)
+      })
+
+    return next === -1 ? this.typedQuery : this.items[next].text
+  }
+
+  /**
+   * 列表是否处于展开状态
+   * @returns {boolean}
+   */
+  isOpen() {
+    return (
+      !!this.listElement &&
+      this.listElement.classList.contains('open') &&
+      this.items.length > 0
+    )
+  }
+
+  /**
+   * 取消尚未完成的防抖和网络请求
+   */
+  cancel() {
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer)
+      this.debounceTimer = null
+    }
+
+    if (this.abortController) {
+      this.abortController.abort()
+      this.abortController = null
+    }
+  }
+
+  /**
+   * 隐藏建议列表
+   */
+  hide() {
+    this.items = []
+    this.activeIndex = -1
+    if (this.listElement) {
+      this.listElement.classList.remove('open')
+      this.listElement.innerHTML = ''
+    }
+  }
+}
+
+export default Suggestions
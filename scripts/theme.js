@@ -1,15 +1,27 @@
 /**
  * 主题模块
- * 负责处理主题切换和系统主题检测
+ * 负责处理主题切换和系统主题检测，并可根据壁纸配色自动选择时钟文字颜色
+ * 除内置的浅色和深色主题外，还支持用户自定义的主题配色
  */
 import storageManager from './storage.js'
+import { pickForeground } from './palette.js'
+import {
+  BUILTIN_THEMES,
+  CUSTOM_THEME_VARIABLES,
+  buildThemeVariables,
+} from './custom-themes.js'
 
 class Theme {
   constructor() {
     this.htmlElement = document.documentElement
-    this.currentTheme = 'system'
+    this.currentTheme = 'system' // 'system' | 'light' | 'dark' 或自定义主题ID
+    this.customThemes = [] // 自定义主题 { id, name, base, colors }
+    this.effectiveTheme = null // 最近一次应用的有效主题
     this.mediaQuery = null
-    this.init()
+    this.autoContrast = false // 是否根据壁纸自动选择文字颜色
+    this.wallpaperPalette = null // 最近一次收到的壁纸配色和遮罩设置
+    // 其他模块可以等待主题设置加载完成
+    this.ready = this.init()
   }
 
   /**
@@ -36,7 +48,11 @@ class Theme {
   async loadThemeSettings() {
     try {
       const themeSettings = await storageManager.getCategory('theme')
-      this.currentTheme = themeSettings.mode || 'system'
+      this.customThemes = themeSettings.custom || []
+      this.currentTheme = this.isValidTheme(themeSettings.mode)
+        ? themeSettings.mode
+        : 'system'
+      this.autoContrast = Boolean(themeSettings.autoContrast)
     } catch (error) {
       console.error('Failed to load theme settings:', error)
       this.currentTheme = 'system'
@@ -64,15 +80,85 @@ class Theme {
    * 应用主题
    */
   applyTheme() {
-    let effectiveTheme = this.currentTheme
-
-    // 如果是跟随系统，则检测系统主题
-    if (this.currentTheme === 'system') {
-      effectiveTheme = this.getSystemTheme()
-    }
+    const effectiveTheme = this.getEffectiveTheme()
 
     // 应用主题到HTML元素
     this.htmlElement.setAttribute('data-theme', effectiveTheme)
+    this.applyCustomColors(this.getCustomTheme(this.currentTheme))
+
+    // 有效主题变化时通知其他模块（例如切换深色模式壁纸）
+    if (effectiveTheme !== this.effectiveTheme) {
+      this.effectiveTheme = effectiveTheme
+      document.dispatchEvent(
+        new CustomEvent('effectiveThemeChanged', { detail: effectiveTheme }),
+      )
+    }
+  }
+
+  /**
+   * 应用自定义主题的颜色
+   * 颜色以 CSS 变量设置在根元素上，覆盖 theme.css 中的内置主题变量
+   * @param {Object|null} customTheme - 自定义主题，null 时恢复内置主题颜色
+   */
+  applyCustomColors(customTheme) {
+    const style = this.htmlElement.style
+    CUSTOM_THEME_VARIABLES.forEach((name) => style.removeProperty(name))
+
+    if (customTheme) {
+      Object.entries(buildThemeVariables(customTheme)).forEach(
+        ([name, value]) => style.setProperty(name, value),
+      )
+    }
+  }
+
+  /**
+   * 获取自定义主题
+   * @param {string} id - 主题ID
+   * @returns {Object|null} 自定义主题，不存在时返回 null
+   */
+  getCustomTheme(id) {
+    return this.customThemes.find((theme) => theme.id === id) || null
+  }
+
+  /**
+   * 判断是否为内置主题模式或已保存的自定义主题
+   * @param {string} theme - 主题模式或自定义主题ID
+   * @returns {boolean}
+   */
+  isValidTheme(theme) {
+    return BUILTIN_THEMES.includes(theme) || Boolean(this.getCustomTheme(theme))
+  }
+
+  /**
+   * 更新自定义主题列表
+   * 当前使用的自定义主题被删除时恢复跟随系统
+   * @param {Array} themes - 自定义主题列表
+   */
+  setCustomThemes(themes) {
+    this.customThemes = themes || []
+    if (!this.isValidTheme(this.currentTheme)) {
+      this.currentTheme = 'system'
+    }
+    this.applyTheme()
+  }
+
+  /**
+   * 应用其他页面保存的主题设置
+   * 只应用不保存，避免每个标签页收到存储变化后再各自写回整个设置对象
+   * @param {Object} settings - 主题设置 { mode, custom, autoContrast }
+   */
+  syncSettings(settings) {
+    this.customThemes = settings.custom || []
+    this.currentTheme = this.isValidTheme(settings.mode)
+      ? settings.mode
+      : 'system'
+    this.applyTheme()
+
+    const autoContrast = Boolean(settings.autoContrast)
+    if (autoContrast !== this.autoContrast) {
+      this.autoContrast = autoContrast
+      this.applyContrast()
+    }
   }
 
   /**
@@ -88,10 +174,10 @@ class Theme {
 
   /**
    * 设置主题
-   * @param {string} theme - 主题模式 ('system', 'light', 'dark')
+   * @param {string} theme - 主题模式 ('system', 'light', 'dark') 或自定义主题ID
    */
   async setTheme(theme) {
-    if (['system', 'light', 'dark'].includes(theme)) {
+    if (this.isValidTheme(theme)) {
       this.currentTheme = theme
       this.applyTheme()
 
@@ -106,6 +192,57 @@ class Theme {
     }
   }
 
+  /**
+   * 接收壁纸配色，自动选择文字颜色
+   * @param {Object} detail - { palette, overlayColor, overlayOpacity }
+   */
+  setWallpaperPalette(detail) {
+    this.wallpaperPalette = detail
+    this.applyContrast()
+  }
+
+  /**
+   * 根据壁纸配色设置时钟文字颜色
+   * 浅色或深色文字都达不到对比度要求时加深遮罩，所需的遮罩透明度通过 contrastOverlayChanged 事件通知壁纸模块
+   */
+  applyContrast() {
+    let overlayOpacity = 0
+
+    if (this.autoContrast && this.wallpaperPalette) {
+      const { palette, ...overlay } = this.wallpaperPalette
+      const result = pickForeground(palette.average, overlay)
+      this.htmlElement.setAttribute('data-foreground', result.foreground)
+      overlayOpacity = result.overlayOpacity
+    } else {
+      this.htmlElement.removeAttribute('data-foreground')
+    }
+
+    document.dispatchEvent(
+      new CustomEvent('contrastOverlayChanged', { detail: overlayOpacity }),
+    )
+  }
+
+  /**
+   * 设置是否根据壁纸自动选择文字颜色
+   * @param {boolean} enabled - 是否启用
+   */
+  async setAutoContrast(enabled) {
+    // 存储变化可能已先应用了新值，避免重复计算
+    if (this.autoContrast !== enabled) {
+      this.autoContrast = enabled
+      this.applyContrast()
+    }
+
+    // 保存设置
+    try {
+      await storageManager.updateCategory('theme', {
+        autoContrast: enabled,
+      })
+    } catch (error) {
+      console.error('Failed to save auto contrast settings:', error)
+    }
+  }
+
   /**
    * 获取当前主题
    * @returns {string} 当前主题模式
@@ -116,9 +253,14 @@ class Theme {
 
   /**
    * 获取有效主题（实际应用的主题）
+   * 自定义主题按其背景颜色的深浅处理
    * @returns {string} 有效主题 ('light' 或 'dark')
    */
   getEffectiveTheme() {
+    const customTheme = this.getCustomTheme(this.currentTheme)
+    if (customTheme) {
+      return customTheme.base
+    }
     if (this.currentTheme === 'system') {
       return this.getSystemTheme()
     }
@@ -127,10 +269,13 @@ class Theme {
 
   /**
    * 切换到下一个主题
-   * 按照系统 -> 浅色 -> 深色 -> 系统的顺序循环
+   * 按照系统 -> 浅色 -> 深色 -> 各个自定义主题 -> 系统的顺序循环
    */
   async toggleTheme() {
-    const themes = ['system', 'light', 'dark']
+    const themes = [
+      ...BUILTIN_THEMES,
+      ...this.customThemes.map((theme) => theme.id),
+    ]
     const currentIndex = themes.indexOf(this.currentTheme)
     const nextIndex = (currentIndex + 1) % themes.length
     await this.setTheme(themes[nextIndex])
@@ -148,6 +293,7 @@ class Theme {
         newSettings.theme &&
         newSettings.theme.mode !== this.currentTheme
       ) {
+        this.customThemes = newSettings.theme.custom || []
         this.currentTheme = newSettings.theme.mode
         this.applyTheme()
         callback(this.getEffectiveTheme(), newSettings.theme.mode)
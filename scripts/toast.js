@@ -0,0 +1,66 @@
+/**
+ * 提示消息模块
+ * 在页面底部显示短暂的提示，可附带操作按钮（例如撤销）
+ */
+class Toast {
+  constructor() {
+    this.container = document.getElementById('toast-container')
+    this.defaultDuration = 4000 // 默认显示时长 (ms)
+  }
+
+  /**
+   * 显示提示
+   * @param {string} message - 提示内容
+   * @param {Object} [options] - 显示选项
+   * @param {string} [options.type] - 'info' | 'success' | 'error'
+   * @param {number} [options.duration] - 自动关闭的时间 (ms)，0 表示不自动关闭
+   * @param {Object} [options.action] - 操作按钮 { label, onClick }，点击后关闭提示
+   * @returns {Object} 提示控制对象 { update(message, options), close() }
+   */
+  show(message, options = {}) {
+    const element = document.createElement('div')
+    element.setAttribute('role', 'status')
+    this.container.appendChild(element)
+
+    let timer = null
+
+    const close = () => {
+      clearTimeout(timer)
+      element.remove()
+    }
+
+    const update = (
+      text,
+      { type = 'info', duration = this.defaultDuration, action = null } = {},
+    ) => {
+      clearTimeout(timer)
+      element.className = `toast toast-${type}`
+      element.innerHTML = `
+                <span class="toast-message"></span>
+                <button class="toast-close" title="关闭">×</button>
+            `
+      element.querySelector('.toast-message').textContent = text
+      element.querySelector('.toast-close').addEventListener('click', close)
+
+      if (action) {
+        const button = document.createElement('button')
+        button.className = 'toast-action'
+        button.textContent = action.label
+        button.addEventListener('click', () => {
+          close()
+          action.onClick()
+        })
+        element.insertBefore(button, element.querySelector('.toast-close'))
+      }
+
+      if (duration > 0) {
+        timer = setTimeout(close, duration)
+      }
+    }
+
+    update(message, options)
+    return { update, close }
+  }
+}
+
+export default Toast
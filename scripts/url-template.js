@@ -0,0 +1,261 @@
+/**
+ * URL 模板模块
+ * 负责把搜索引擎URL模板中的占位符替换为搜索关键词
+ *
+ * 支持的占位符（可出现多次）：
+ *   %s / {searchTerms}   按引擎字符集进行百分号编码
+ *   {searchTerms:plus}   同上，但空格编码为 +
+ *   {searchTerms:raw}    不编码，原样插入
+ *   {inputEncoding}      引擎使用的字符集名称
+ *
+ * POST 表单参数同样使用以上占位符，但关键词一律原样插入，由浏览器提交表单时编码
+ */
+
+// 支持的查询字符集
+export const SUPPORTED_CHARSETS = [
+  'UTF-8',
+  'GBK',
+  'GB18030',
+  'Big5',
+  'Shift_JIS',
+  'EUC-KR',
+]
+
+const DEFAULT_CHARSET = 'UTF-8'
+
+// 占位符匹配规则
+const PLACEHOLDER_PATTERN =
+  /%s|\{(searchTerms(?::(?:plus|raw))?|inputEncoding)\}/g
+
+// 形如 {name} 的占位符，用于找出无法识别的占位符
+const BRACE_PATTERN = /\{([A-Za-z][\w:]*\??)\}/g
+
+// 校验和预览时使用的示例关键词
+export const SAMPLE_QUERY = '测试 test'
+
+// 各字符集的反向编码表缓存：字符 -> 字节数组
+const encodeTables = new Map()
+
+/**
+ * 规范化字符集名称
+ * @param {string} charset - 字符集名称（不区分大小写）
+ * @returns {string|null} 支持的字符集名称，不支持时返回 null
+ */
+export function normalizeCharset(charset) {
+  if (!charset) return DEFAULT_CHARSET
+
+  const lower = charset.trim().toLowerCase()
+  if (lower === 'utf8') return DEFAULT_CHARSET
+
+  return SUPPORTED_CHARSETS.find((item) => item.toLowerCase() === lower) || null
+}
+
+/**
+ * 构建非 UTF-8 字符集的反向编码表
+ * 浏览器只提供 TextDecoder，因此一次性解码所有单字节和双字节序列后反向建表
+ * @param {string} charset - 字符集名称
+ * @returns {Map<string, Array<number>>} 编码表
+ */
+function getEncodeTable(charset) {
+  if (encodeTables.has(charset)) {
+    return encodeTables.get(charset)
+  }
+
+  // 每个候选序列后跟一个换行符作为分隔，解码失败的序列会产生替换字符
+  const sequences = []
+  for (let byte = 0x80; byte <= 0xff; byte++) {
+    sequences.push([byte])
+  }
+  for (let lead = 0x81; lead <= 0xfe; lead++) {
+    for (let trail = 0x40; trail <= 0xfe; trail++) {
+      if (trail !== 0x7f) sequences.push([lead, trail])
+    }
+  }
+
+  const bytes = new Uint8Array(
+    sequences.reduce((total, sequence) => total + sequence.length + 1, 0),
+  )
+  let offset = 0
+  sequences.forEach((sequence) => {
+    bytes.set(sequence, offset)
+    offset += sequence.length
+    bytes[offset++] = 0x0a
+  })
+
+  const decoded = new TextDecoder(charset).decode(bytes).split('\n')
+  const table = new Map()
+  sequences.forEach((sequence, index) => {
+    const char = decoded[index]
+    // 只保留解码为单个字符的有效序列，同一字符保留最先出现的编码
+    if (
+      char &&
+      [...char].length === 1 &&
+      char !== '\uFFFD' &&
+      !table.has(char)
+    ) {
+      table.set(char, sequence)
+    }
+  })
+
+  encodeTables.set(charset, table)
+  return table
+}
+
+/**
+ * 按字符集对搜索关键词进行百分号编码
+ * 字符集中不存在的字符按浏览器表单的做法编码为 &#码位;
+ * @param {string} query - 搜索关键词
+ * @param {Object} [options] - 编码选项
+ * @param {string} [options.charset] - 字符集，默认 UTF-8
+ * @param {boolean} [options.plus] - 是否把空格编码为 +
+ * @returns {string} 编码后的字符串
+ */
+export function encodeQuery(query, { charset, plus = false } = {}) {
+  const name = normalizeCharset(charset) || DEFAULT_CHARSET
+  let encoded
+
+  if (name === DEFAULT_CHARSET) {
+    encoded = encodeURIComponent(query)
+  } else {
+    const table = getEncodeTable(name)
+    encoded = [...query]
+      .map((char) => {
+        if (char.codePointAt(0) < 0x80) {
+          return encodeURIComponent(char)
+        }
+
+        const sequence = table.get(char)
+        if (!sequence) {
+          return encodeURIComponent(`&#${char.codePointAt(0)};`)
+        }
+
+        return sequence
+          .map((byte) => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`)
+          .join('')
+      })
+      .join('')
+  }
+
+  return plus ? encoded.replace(/%20/g, '+') : encoded
+}
+
+/**
+ * 判断模板中是否包含搜索关键词占位符
+ * @param {string} template - URL 模板
+ * @returns {boolean}
+ */
+export function hasQueryPlaceholder(template) {
+  return [...template.matchAll(PLACEHOLDER_PATTERN)].some(
+    ([match]) => match !== '{inputEncoding}',
+  )
+}
+
+/**
+ * 查找模板中无法识别的 {name} 占位符
+ * @param {string} template - 模板
+ * @returns {string|null} 第一个无法识别的占位符名称，全部可识别时返回 null
+ */
+export function findUnknownPlaceholder(template) {
+  const known = [
+    'searchTerms',
+    'searchTerms:plus',
+    'searchTerms:raw',
+    'inputEncoding',
+  ]
+
+  for (const [, name] of template.matchAll(BRACE_PATTERN)) {
+    if (!known.includes(name)) return name
+  }
+  return null
+}
+
+/**
+ * 展开URL模板
+ * @param {string} template - URL 模板
+ * @param {string} query - 搜索关键词
+ * @param {Object} [options] - 展开选项
+ * @param {string} [options.charset] - 字符集，默认 UTF-8
+ * @param {boolean} [options.encode] - 是否编码关键词，POST 表单参数传 false
+ * @returns {string} 完整的URL
+ */
+export function expandTemplate(
+  template,
+  query,
+  { charset, encode = true } = {},
+) {
+  const name = normalizeCharset(charset) || DEFAULT_CHARSET
+
+  return template.replace(PLACEHOLDER_PATTERN, (match, param) => {
+    if (!encode && param !== 'inputEncoding') {
+      return query
+    }
+
+    switch (param) {
+      case 'searchTerms:plus':
+        return encodeQuery(query, { charset: name, plus: true })
+      case 'searchTerms:raw':
+        return query
+      case 'inputEncoding':
+        return name
+      default:
+        return encodeQuery(query, { charset: name })
+    }
+  })
+}
+
+/**
+ * 校验URL模板
+ * @param {string} template - URL 模板
+ * @param {Object} [options] - 校验选项
+ * @param {string} [options.label] - 错误信息中使用的字段名称
+ * @param {string} [options.charset] - 字符集
+ * @param {boolean} [options.requireQuery] - 是否必须包含关键词占位符（POST 引擎可以只在参数中包含）
+ * @returns {string|null} 错误信息，校验通过时返回 null
+ */
+export function validateTemplate(
+  template,
+  { label = '搜索URL', charset, requireQuery = true } = {},
+) {
+  if (!template || typeof template !== 'string') {
+    return `${label}不能为空`
+  }
+
+  if (requireQuery && !hasQueryPlaceholder(template)) {
+    return `${label}必须包含 %s 或 {searchTerms} 作为关键词占位符`
+  }
+
+  const unknown = findUnknownPlaceholder(template)
+  if (unknown) {
+    return `${label}包含无法识别的占位符 {${unknown}}`
+  }
+
+  if (!normalizeCharset(charset)) {
+    return `不支持的字符集 ${charset}`
+  }
+
+  try {
+    const url = new URL(expandTemplate(template, SAMPLE_QUERY, { charset }))
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return `${label}必须以 http:// 或 https:// 开头`
+    }
+  } catch (error) {
+    return `${label}格式无效`
+  }
+
+  return null
+}
+
+/**
+ * 生成模板的预览URL
+ * @param {string} template - URL 模板
+ * @param {Object} [options] - 预览选项
+ * @param {string} [options.charset] - 字符集
+ * @param {string} [options.query] - 预览使用的关键词
+ * @returns {string} 预览URL
+ */
+export function previewTemplate(
+  template,
+  { charset, query = SAMPLE_QUERY } = {},
+) {
+  return expandTemplate(template, query, { charset })
+}
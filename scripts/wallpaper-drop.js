@@ -0,0 +1,209 @@
+/**
+ * 壁纸拖放与粘贴模块
+ * 整个页面都可以拖入图片文件或粘贴图片来设置壁纸，完成后可撤销
+ */
+
+// 撤销提示的显示时长 (ms)
+const UNDO_DURATION = 8000
+
+/**
+ * 判断元素是否可以输入文字
+ * @param {Element|null} element - 元素
+ * @returns {boolean}
+ */
+function isEditable(element) {
+  if (!element) return false
+  return (
+    element.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+  )
+}
+
+/**
+ * 判断拖动的内容是否包含文件
+ * @param {DragEvent} e - 拖动事件
+ * @returns {boolean}
+ */
+function hasFiles(e) {
+  return Boolean(e.dataTransfer) && e.dataTransfer.types.includes('Files')
+}
+
+class WallpaperDrop {
+  /**
+   * @param {Wallpaper} wallpaper - 壁纸模块
+   * @param {Toast} toast - 提示消息模块
+   */
+  constructor(wallpaper, toast) {
+    this.wallpaper = wallpaper
+    this.toast = toast
+    this.overlay = document.getElementById('drop-overlay')
+    this.dragDepth = 0 // dragenter 和 dragleave 会在子元素间成对触发
+    this.uploading = false
+
+    this.handleDragEnter = (e) => this.onDragEnter(e)
+    this.handleDragOver = (e) => this.onDragOver(e)
+    this.handleDragLeave = (e) => this.onDragLeave(e)
+    this.handleDrop = (e) => this.onDrop(e)
+    this.handlePaste = (e) => this.onPaste(e)
+    this.init()
+  }
+
+  /**
+   * 初始化拖放和粘贴监听
+   */
+  init() {
+    document.addEventListener('dragenter', this.handleDragEnter)
+    document.addEventListener('dragover', this.handleDragOver)
+    document.addEventListener('dragleave', this.handleDragLeave)
+    document.addEventListener('drop', this.handleDrop)
+    document.addEventListener('paste', this.handlePaste)
+  }
+
+  /**
+   * 拖入文件时显示放置提示
+   * @param {DragEvent} e - 拖动事件
+   */
+  onDragEnter(e) {
+    if (!hasFiles(e)) return
+
+    e.preventDefault()
+    this.dragDepth++
+    this.overlay.classList.add('visible')
+  }
+
+  /**
+   * 允许放置文件
+   * @param {DragEvent} e - 拖动事件
+   */
+  onDragOver(e) {
+    if (!hasFiles(e)) return
+
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+  }
+
+  /**
+   * 文件拖出页面时隐藏放置提示
+   * @param {DragEvent} e - 拖动事件
+   */
+  onDragLeave(e) {
+    if (!hasFiles(e)) return
+
+    this.dragDepth = Math.max(0, this.dragDepth - 1)
+    if (this.dragDepth === 0) {
+      this.overlay.classList.remove('visible')
+    }
+  }
+
+  /**
+   * 放置文件后上传
+   * @param {DragEvent} e - 拖动事件
+   */
+  onDrop(e) {
+    if (!hasFiles(e)) return
+
+    e.preventDefault()
+    this.dragDepth = 0
+    this.overlay.classList.remove('visible')
+    this.upload(Array.from(e.dataTransfer.files))
+  }
+
+  /**
+   * 粘贴图片时上传
+   * 焦点在搜索框或其他输入框中时保留默认的粘贴行为
+   * @param {ClipboardEvent} e - 粘贴事件
+   */
+  onPaste(e) {
+    if (isEditable(document.activeElement) || !e.clipboardData) return
+
+    const files = Array.from(e.clipboardData.files).filter((file) =>
+      file.type.startsWith('image/'),
+    )
+    if (files.length === 0) return
+
+    e.preventDefault()
+    this.upload(files)
+  }
+
+  /**
+   * 上传壁纸并显示进度，完成后提供撤销
+   * @param {Array<File>} files - 图片或视频文件
+   */
+  async upload(files) {
+    if (files.length === 0) return
+
+    if (this.uploading) {
+      this.toast.show('正在添加壁纸，请稍候')
+      return
+    }
+
+    this.uploading = true
+    const { type, currentId, rotationState } = this.wallpaper.getSettings()
+    const previous = { type, currentId, rotationState }
+    const progress = this.toast.show(`正在添加壁纸 (0/${files.length})`, {
+      duration: 0,
+    })
+
+    try {
+      const { added, errors } = await this.wallpaper.uploadWallpaper(files, {
+        onProgress: (done, total) => {
+          progress.update(`正在添加壁纸 (${done}/${total})`, { duration: 0 })
+        },
+      })
+      progress.close()
+
+      if (errors.length > 0) {
+        this.toast.show('以下文件未能添加:\n' + errors.join('\n'), {
+          type: 'error',
+          duration: UNDO_DURATION,
+        })
+      }
+
+      if (added.length > 0) {
+        const message =
+          added.length > 1 ? `已添加 ${added.length} 张壁纸` : '已设置壁纸'
+        this.toast.show(message, {
+          type: 'success',
+          duration: UNDO_DURATION,
+          action: {
+            label: '撤销',
+            onClick: () => this.undo(added, previous),
+          },
+        })
+      }
+    } catch (error) {
+      console.error('Failed to upload wallpaper:', error)
+      progress.update('壁纸上传失败: ' + error.message, { type: 'error' })
+    } finally {
+      this.uploading = false
+    }
+  }
+
+  /**
+   * 撤销上传，恢复之前的壁纸
+   * @param {Array} added - 上传时添加的壁纸库条目
+   * @param {Object} previous - 上传前的设置
+   */
+  async undo(added, previous) {
+    try {
+      await this.wallpaper.undoUpload(added, previous)
+      this.toast.show('已恢复之前的壁纸')
+    } catch (error) {
+      console.error('Failed to undo wallpaper upload:', error)
+      this.toast.show('撤销失败: ' + error.message, { type: 'error' })
+    }
+  }
+
+  /**
+   * 销毁拖放模块
+   */
+  destroy() {
+    document.removeEventListener('dragenter', this.handleDragEnter)
+    document.removeEventListener('dragover', this.handleDragOver)
+    document.removeEventListener('dragleave', this.handleDragLeave)
+    document.removeEventListener('drop', this.handleDrop)
+    document.removeEventListener('paste', this.handlePaste)
+  }
+}
+
+export default WallpaperDrop
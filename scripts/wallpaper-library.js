@@ -0,0 +1,691 @@
+/**
+ * 壁纸库管理器
+ * 负责壁纸库的增删、收藏、切换以及轮换状态
+ * 轮换状态保存在 wallpaper 设置中，所有打开的新标签页读取同一份状态
+ */
+import storageManager from './storage.js'
+import assetStore from './asset-store.js'
+import {
+  processImage,
+  extractPoster,
+  getMediaKind,
+} from './image-processing.js'
+import { fetchRemoteImage, getImageName } from './remote-image.js'
+
+const MINUTE_MS = 60 * 1000
+
+// 自动更新的网络壁纸的检查间隔
+const REMOTE_REFRESH_INTERVAL = 6 * 60 * MINUTE_MS
+
+// 视频和动图不重新编码，限制原文件大小
+const MAX_MEDIA_SIZE = 50 * 1024 * 1024
+
+// 按时段切换的预设时段
+export const SCHEDULE_PRESETS = [
+  { name: '早晨', start: '06:00' },
+  { name: '下午', start: '12:00' },
+  { name: '傍晚', start: '18:00' },
+  { name: '夜间', start: '22:00' },
+]
+
+// 时段数量上限
+export const MAX_SCHEDULE_SLOTS = 8
+
+/**
+ * 将 HH:mm 格式的时间转换为当天的分钟数
+ * @param {string} time - 时间
+ * @returns {number|null} 分钟数，格式无效时返回 null
+ */
+export function parseTimeOfDay(time) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '')
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null
+}
+
+/**
+ * 按开始时间排序时段，忽略时间无效的时段
+ * @param {Array} schedule - 时段 [{ name, start, itemId }]
+ * @returns {Array} 排序后的时段
+ */
+export function sortSchedule(schedule) {
+  return (schedule || [])
+    .filter((slot) => parseTimeOfDay(slot.start) !== null)
+    .sort((a, b) => parseTimeOfDay(a.start) - parseTimeOfDay(b.start))
+}
+
+/**
+ * 获取指定时间所在的时段
+ * 每个时段从开始时间持续到下一个时段开始，最晚的时段延续到次日最早的时段开始
+ * @param {Array} schedule - 时段 [{ name, start, itemId }]
+ * @param {Date} date - 时间
+ * @returns {Object|null} 时段，没有有效时段时返回 null
+ */
+export function getScheduleSlot(schedule, date) {
+  const slots = sortSchedule(schedule)
+  if (slots.length === 0) return null
+
+  const minutes = date.getHours() * 60 + date.getMinutes()
+  const started = slots.filter((slot) => parseTimeOfDay(slot.start) <= minutes)
+  return started.length > 0
+    ? started[started.length - 1]
+    : slots[slots.length - 1]
+}
+
+/**
+ * 判断当前是否需要轮换
+ * @param {Object} rotation - 轮换设置 { mode, interval }
+ * @param {Object} state - 轮换状态 { changedAt }
+ * @param {number} now - 当前时间戳
+ * @param {boolean} isNewTab - 是否由打开新标签页触发
+ * @returns {boolean}
+ */
+export function isRotationDue(rotation, state, now, isNewTab) {
+  const changedAt = (state && state.changedAt) || 0
+
+  switch (rotation.mode) {
+    case 'newtab':
+      return isNewTab
+    case 'interval':
+      return now - changedAt >= rotation.interval * MINUTE_MS
+    case 'daily':
+      return new Date(changedAt).toDateString() !== new Date(now).toDateString()
+    default:
+      return false
+  }
+}
+
+/**
+ * 计算距离下一次轮换的时间
+ * @param {Object} rotation - 轮换设置 { mode, interval }
+ * @param {Object} state - 轮换状态 { changedAt }
+ * @param {number} now - 当前时间戳
+ * @returns {number|null} 毫秒数，不需要定时轮换时返回 null
+ */
+export function getNextRotationDelay(rotation, state, now) {
+  const changedAt = (state && state.changedAt) || 0
+
+  if (rotation.mode === 'interval') {
+    return Math.max(0, changedAt + rotation.interval * MINUTE_MS - now)
+  }
+
+  if (rotation.mode === 'daily') {
+    const midnight = new Date(now)
+    midnight.setHours(24, 0, 0, 0)
+    return midnight.getTime() - now
+  }
+
+  return null
+}
+
+/**
+ * 判断网络壁纸是否需要重新下载
+ * @param {Object} source - 网络来源 { url, refresh, checkedAt }
+ * @param {number} now - 当前时间戳
+ * @returns {boolean}
+ */
+export function isRefreshDue(source, now) {
+  if (!source || !source.refresh) return false
+  return now - (source.checkedAt || 0) >= REMOTE_REFRESH_INTERVAL
+}
+
+/**
+ * 计算距离下一次检查网络壁纸的时间
+ * @param {Array} library - 壁纸库
+ * @param {number} now - 当前时间戳
+ * @returns {number|null} 毫秒数，没有自动更新的壁纸时返回 null
+ */
+export function getNextRefreshDelay(library, now) {
+  const delays = (library || [])
+    .filter((item) => item.source && item.source.refresh)
+    .map((item) =>
+      Math.max(0, (item.source.checkedAt || 0) + REMOTE_REFRESH_INTERVAL - now),
+    )
+
+  return delays.length > 0 ? Math.min(...delays) : null
+}
+
+/**
+ * 随机打乱列表（Fisher-Yates）
+ * @param {Array} list - 原列表
+ * @param {Function} random - 随机数函数
+ * @returns {Array} 新列表
+ */
+function shuffle(list, random) {
+  const result = [...list]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+/**
+ * 计算下一张壁纸
+ * 顺序模式按壁纸库顺序循环；随机模式每轮打乱一次，一轮内不重复
+ * @param {Array<string>} poolIds - 参与轮换的壁纸ID
+ * @param {Object} state - 当前轮换状态 { sequence, index }
+ * @param {string|null} currentId - 当前壁纸ID
+ * @param {string} order - 'sequential' | 'shuffle'
+ * @param {number} now - 当前时间戳
+ * @param {Function} [random] - 随机数函数
+ * @returns {Object} { currentId, rotationState }
+ */
+export function advanceRotation(
+  poolIds,
+  state,
+  currentId,
+  order,
+  now,
+  random = Math.random,
+) {
+  let sequence = (state && state.sequence) || []
+  let index
+
+  if (order === 'shuffle') {
+    const sameItems =
+      sequence.length === poolIds.length &&
+      poolIds.every((id) => sequence.includes(id))
+    index = sameItems ? state.index + 1 : sequence.length
+
+    if (!sameItems || index >= sequence.length) {
+      sequence = shuffle(poolIds, random)
+      // 新一轮的第一张不与当前壁纸重复
+      if (sequence.length > 1 && sequence[0] === currentId) {
+        sequence.push(sequence.shift())
+      }
+      index = 0
+    }
+  } else {
+    sequence = [...poolIds]
+    index = (sequence.indexOf(currentId) + 1) % sequence.length
+  }
+
+  return {
+    currentId: sequence[index],
+    rotationState: { sequence, index, changedAt: now },
+  }
+}
+
+class WallpaperLibrary {
+  constructor() {
+    this.category = 'wallpaper'
+  }
+
+  /**
+   * 获取壁纸设置
+   * @returns {Promise<Object>} 壁纸设置
+   */
+  async getSettings() {
+    return storageManager.getCategory(this.category)
+  }
+
+  /**
+   * 获取参与轮换的壁纸
+   * 开启"仅轮换收藏"且存在收藏时只使用收藏的壁纸
+   * @param {Object} settings - 壁纸设置
+   * @returns {Array} 壁纸列表
+   */
+  getRotationPool(settings) {
+    const library = settings.library || []
+    const favorites = library.filter((item) => item.favorite)
+
+    return settings.rotation.favoritesOnly && favorites.length > 0
+      ? favorites
+      : library
+  }
+
+  /**
+   * 判断是否有可以轮换到的壁纸
+   * @param {Object} settings - 壁纸设置
+   * @returns {boolean}
+   */
+  canRotate(settings) {
+    // 使用纯色、渐变或图案壁纸时不轮换
+    if (settings.type && settings.type !== 'image') return false
+    // 按时段切换由壁纸模块根据时钟处理
+    if (settings.rotation.mode === 'schedule') return false
+
+    const pool = this.getRotationPool(settings)
+    if (pool.length === 0) return false
+    return !(pool.length === 1 && pool[0].id === settings.currentId)
+  }
+
+  /**
+   * 添加多张壁纸，并切换到最后添加的一张
+   * 静态图片会按上传设置缩小并重新编码后再保存；视频和动图保存原文件，并提取首帧作为封面
+   * @param {FileList|Array<File>} files - 图片或视频文件
+   * @param {Object} [options] - 添加选项
+   * @param {Function} [options.onProgress] - 每处理完一个文件调用一次，参数为 (已处理数量, 总数)
+   * @returns {Promise<Object>} { added, errors }
+   */
+  async addFiles(files, { onProgress } = {}) {
+    const added = []
+    const errors = []
+    const { upload } = await this.getSettings()
+    const list = Array.from(files)
+
+    for (const [index, file] of list.entries()) {
+      try {
+        added.push(await this.addFileChecked(file, upload))
+      } catch (error) {
+        errors.push(`${file.name}: ${error.message}`)
+      }
+
+      if (onProgress) {
+        onProgress(index + 1, list.length)
+      }
+    }
+
+    if (added.length > 0) {
+      await this.appendItems(added)
+    }
+
+    return { added, errors }
+  }
+
+  /**
+   * 检查文件类型和大小后保存文件
+   * @param {File} file - 上传的文件
+   * @param {Object} upload - 上传处理设置
+   * @returns {Promise<Object>} 壁纸库条目
+   * @throws {Error} 文件类型不支持或超过大小限制时抛出
+   */
+  async addFileChecked(file, upload) {
+    const kind = await getMediaKind(file)
+    if (!kind) {
+      throw new Error('不是图片或视频文件')
+    }
+
+    if (kind !== 'image' && file.size > MAX_MEDIA_SIZE) {
+      throw new Error('视频和动图大小不能超过50MB')
+    }
+
+    return this.addFile(file, kind, upload)
+  }
+
+  /**
+   * 撤销添加壁纸
+   * 从壁纸库移除新添加的壁纸并删除其资源，恢复添加前显示的壁纸
+   * @param {Array} items - 添加的壁纸库条目
+   * @param {Object} previous - 添加前的设置 { type, currentId, rotationState }
+   */
+  async undoAdd(items, previous) {
+    const settings = await this.getSettings()
+    const ids = items.map((item) => item.id)
+    const library = (settings.library || []).filter(
+      (item) => !ids.includes(item.id),
+    )
+    // 添加前的壁纸可能已被删除
+    const currentId = library.some((item) => item.id === previous.currentId)
+      ? previous.currentId
+      : null
+
+    await storageManager.updateCategory(this.category, {
+      library,
+      type: previous.type,
+      currentId,
+      rotationState: previous.rotationState,
+      ...this.referenceUpdates(settings, ids),
+    })
+
+    try {
+      await Promise.all(items.map((item) => this.deleteAssets(item)))
+    } catch (error) {
+      console.error('Failed to delete wallpaper asset:', error)
+    }
+  }
+
+  /**
+   * 生成删除壁纸时需要清除的引用
+   * 深色模式壁纸被删除时改用默认壁纸，时段中的壁纸被删除时改为不指定壁纸
+   * @param {Object} settings - 壁纸设置
+   * @param {Array<string>} ids - 被删除的壁纸ID
+   * @returns {Object} 需要更新的字段
+   */
+  referenceUpdates(settings, ids) {
+    const updates = {}
+
+    if (settings.dark && ids.includes(settings.dark.currentId)) {
+      updates.dark = { ...settings.dark, currentId: null }
+    }
+
+    const schedule = settings.schedule || []
+    if (schedule.some((slot) => ids.includes(slot.itemId))) {
+      updates.schedule = schedule.map((slot) =>
+        ids.includes(slot.itemId) ? { ...slot, itemId: null } : slot,
+      )
+    }
+
+    return updates
+  }
+
+  /**
+   * 从网址添加壁纸，并切换到该壁纸
+   * 图片下载后保存在本地，离线时也能显示；开启自动更新时定期重新下载
+   * @param {string} url - 图片网址
+   * @param {Object} [options] - 添加选项
+   * @param {boolean} [options.refresh] - 是否定期重新下载
+   * @returns {Promise<Object>} 壁纸库条目
+   * @throws {Error} 下载或处理图片失败时抛出
+   */
+  async addFromUrl(url, { refresh = false } = {}) {
+    const { upload } = await this.getSettings()
+    const remote = await fetchRemoteImage(url)
+
+    const item = {
+      ...(await this.addRemoteImage(url, remote.blob, upload)),
+      source: {
+        url,
+        refresh,
+        etag: remote.etag,
+        lastModified: remote.lastModified,
+        checkedAt: Date.now(),
+      },
+    }
+
+    await this.appendItems([item])
+    return item
+  }
+
+  /**
+   * 处理并保存下载的网络图片
+   * @param {string} url - 图片网址
+   * @param {Blob} blob - 图片数据
+   * @param {Object} upload - 上传处理设置
+   * @returns {Promise<Object>} 壁纸库条目
+   */
+  async addRemoteImage(url, blob, upload) {
+    const file = new File([blob], getImageName(url), { type: blob.type })
+    return this.addFile(file, await getMediaKind(file), upload)
+  }
+
+  /**
+   * 将新条目加入壁纸库，并切换到最后一个
+   * 保存失败时删除已写入的资源
+   * @param {Array} items - 壁纸库条目
+   */
+  async appendItems(items) {
+    const settings = await this.getSettings()
+    try {
+      await storageManager.updateCategory(this.category, {
+        library: [...(settings.library || []), ...items],
+        ...this.selectUpdates(settings, items[items.length - 1].id),
+      })
+    } catch (error) {
+      await Promise.all(items.map((item) => this.deleteAssets(item)))
+      throw error
+    }
+  }
+
+  /**
+   * 重新下载到期的自动更新壁纸
+   * 先记录检查时间，避免多个标签页同时下载；图片未变化时不重新处理，下载失败时保留已缓存的图片
+   * @returns {Promise<number>} 更新了图片的壁纸数量
+   */
+  async refreshRemote() {
+    const settings = await this.getSettings()
+    const now = Date.now()
+    const due = (settings.library || []).filter((item) =>
+      isRefreshDue(item.source, now),
+    )
+    if (due.length === 0) return 0
+
+    const dueIds = due.map((item) => item.id)
+    await storageManager.updateCategory(this.category, {
+      library: settings.library.map((item) =>
+        dueIds.includes(item.id)
+          ? { ...item, source: { ...item.source, checkedAt: now } }
+          : item,
+      ),
+    })
+
+    let updated = 0
+    for (const item of due) {
+      try {
+        if (await this.refreshItem(item, settings.upload)) {
+          updated++
+        }
+      } catch (error) {
+        console.error('Failed to refresh remote wallpaper:', error)
+      }
+    }
+
+    return updated
+  }
+
+  /**
+   * 重新下载单个网络壁纸
+   * 保留条目ID，当前壁纸、时段和深色模式设置不受影响
+   * @param {Object} item - 壁纸库条目
+   * @param {Object} upload - 上传处理设置
+   * @returns {Promise<boolean>} 是否更新了图片
+   */
+  async refreshItem(item, upload) {
+    const { url, etag, lastModified } = item.source
+    const remote = await fetchRemoteImage(url, { etag, lastModified })
+    if (remote.notModified) return false
+
+    const fresh = await this.addRemoteImage(url, remote.blob, upload)
+
+    // 下载期间壁纸可能已被删除
+    const settings = await this.getSettings()
+    const current = (settings.library || []).find(
+      (entry) => entry.id === item.id,
+    )
+    if (!current) {
+      await this.deleteAssets(fresh)
+      return false
+    }
+
+    const library = settings.library.map((entry) =>
+      entry.id === item.id
+        ? {
+            ...entry,
+            kind: fresh.kind,
+            assetId: fresh.assetId,
+            posterAssetId: fresh.posterAssetId,
+            source: {
+              ...entry.source,
+              etag: remote.etag,
+              lastModified: remote.lastModified,
+            },
+          }
+        : entry,
+    )
+    await storageManager.updateCategory(this.category, { library })
+    await this.deleteAssets(current)
+    return true
+  }
+
+  /**
+   * 保存单个文件并生成壁纸库条目
+   * @param {File} file - 上传的文件
+   * @param {string} kind - 'image' | 'animated' | 'video'
+   * @param {Object} upload - 上传处理设置
+   * @returns {Promise<Object>} 壁纸库条目
+   */
+  async addFile(file, kind, upload) {
+    const item = {
+      kind,
+      name: file.name,
+      favorite: false,
+      addedAt: Date.now(),
+    }
+
+    if (kind === 'image') {
+      const processed = await processImage(file, upload)
+      item.assetId = await assetStore.put(processed.blob, {
+        name: file.name,
+        width: processed.width,
+        height: processed.height,
+        originalSize: file.size,
+      })
+    } else {
+      const poster = await extractPoster(file, kind, upload)
+      item.assetId = await assetStore.put(file, { name: file.name })
+      item.posterAssetId = await assetStore.put(poster.blob, {
+        name: file.name,
+        width: poster.width,
+        height: poster.height,
+      })
+    }
+
+    return { id: `wallpaper_${item.assetId}`, ...item }
+  }
+
+  /**
+   * 删除壁纸条目对应的资源（包括封面）
+   * @param {Object} item - 壁纸库条目
+   */
+  async deleteAssets(item) {
+    await assetStore.delete(item.assetId)
+    if (item.posterAssetId) {
+      await assetStore.delete(item.posterAssetId)
+    }
+  }
+
+  /**
+   * 删除壁纸
+   * 删除当前壁纸时切换到壁纸库中的下一张，壁纸库为空时恢复默认壁纸
+   * @param {string} itemId - 壁纸ID
+   */
+  async remove(itemId) {
+    const settings = await this.getSettings()
+    const library = settings.library || []
+    const index = library.findIndex((item) => item.id === itemId)
+    if (index === -1) return
+
+    const removed = library[index]
+    const remaining = library.filter((item) => item.id !== itemId)
+    const updates = {
+      library: remaining,
+      ...this.referenceUpdates(settings, [itemId]),
+    }
+
+    if (settings.currentId === itemId) {
+      const next = remaining[index] || remaining[0] || null
+      updates.currentId = next ? next.id : null
+    }
+
+    await storageManager.updateCategory(this.category, updates)
+
+    try {
+      await this.deleteAssets(removed)
+    } catch (error) {
+      console.error('Failed to delete wallpaper asset:', error)
+    }
+  }
+
+  /**
+   * 切换收藏状态
+   * @param {string} itemId - 壁纸ID
+   */
+  async toggleFavorite(itemId) {
+    const settings = await this.getSettings()
+    const library = (settings.library || []).map((item) =>
+      item.id === itemId ? { ...item, favorite: !item.favorite } : item,
+    )
+
+    await storageManager.updateCategory(this.category, { library })
+  }
+
+  /**
+   * 设置壁纸的焦点位置
+   * 焦点在 cover 裁剪时保持可见，壁纸库中的每张图片单独保存
+   * @param {string|null} itemId - 壁纸ID，null 表示默认壁纸
+   * @param {Object} focalPoint - 焦点 { x, y }，单位为百分比
+   */
+  async setFocalPoint(itemId, focalPoint) {
+    if (!itemId) {
+      await storageManager.updateCategory(this.category, { focalPoint })
+      return
+    }
+
+    const settings = await this.getSettings()
+    const library = (settings.library || []).map((item) =>
+      item.id === itemId ? { ...item, focalPoint } : item,
+    )
+
+    await storageManager.updateCategory(this.category, { library })
+  }
+
+  /**
+   * 切换到指定壁纸
+   * @param {string|null} itemId - 壁纸ID，null 表示默认壁纸
+   */
+  async select(itemId) {
+    const settings = await this.getSettings()
+    await storageManager.updateCategory(
+      this.category,
+      this.selectUpdates(settings, itemId),
+    )
+  }
+
+  /**
+   * 生成切换壁纸时需要更新的字段
+   * 手动切换会切回图片壁纸并重新开始计时，并让顺序轮换从所选壁纸继续
+   * @param {Object} settings - 壁纸设置
+   * @param {string|null} itemId - 壁纸ID
+   * @returns {Object} 需要更新的字段
+   */
+  selectUpdates(settings, itemId) {
+    const state = settings.rotationState || {}
+    const sequence = state.sequence || []
+    const index = sequence.indexOf(itemId)
+
+    return {
+      type: 'image',
+      currentId: itemId,
+      rotationState: {
+        ...state,
+        index: index === -1 ? state.index : index,
+        changedAt: Date.now(),
+      },
+    }
+  }
+
+  /**
+   * 更新轮换设置
+   * @param {Object} rotation - { mode, interval, order, favoritesOnly }
+   */
+  async updateRotation(rotation) {
+    const settings = await this.getSettings()
+    await storageManager.updateCategory(this.category, {
+      rotation: { ...settings.rotation, ...rotation },
+      // 修改设置后重新开始计时
+      rotationState: { ...settings.rotationState, changedAt: Date.now() },
+    })
+  }
+
+  /**
+   * 到达轮换时间时切换到下一张壁纸
+   * @param {Object} [options] - 轮换选项
+   * @param {boolean} [options.isNewTab] - 是否由打开新标签页触发
+   * @returns {Promise<boolean>} 是否切换了壁纸
+   */
+  async rotateIfDue({ isNewTab = false } = {}) {
+    const settings = await this.getSettings()
+    const now = Date.now()
+
+    if (!this.canRotate(settings)) return false
+    if (
+      !isRotationDue(settings.rotation, settings.rotationState, now, isNewTab)
+    ) {
+      return false
+    }
+
+    const next = advanceRotation(
+      this.getRotationPool(settings).map((item) => item.id),
+      settings.rotationState,
+      settings.currentId,
+      settings.rotation.order,
+      now,
+    )
+    await storageManager.updateCategory(this.category, next)
+    return true
+  }
+}
+
+// 创建单例实例
+const wallpaperLibrary = new WallpaperLibrary()
+
+export default wallpaperLibrary
@@ -1,18 +1,88 @@
 /**
  * 壁纸模块
- * 负责处理壁纸上传、显示和效果调整
+ * 负责处理壁纸显示、效果调整和定时轮换
  */
 import storageManager from './storage.js'
+import assetStore from './asset-store.js'
+import wallpaperLibrary, {
+  getNextRotationDelay,
+  getNextRefreshDelay,
+  getScheduleSlot,
+} from './wallpaper-library.js'
+import {
+  renderBlurredImage,
+  buildAdjustmentFilter,
+  extractPalette,
+} from './image-processing.js'
+import { getBackgroundStyle, toRgba, buildVignette } from './backgrounds.js'
+import { getBackgroundPalette, adjustPalette } from './palette.js'
+
+// 浏览器 setTimeout 支持的最大延迟
+const MAX_TIMER_DELAY = 2147483647
+// 最小延迟，避免轮换未执行时反复立即重试
+const MIN_TIMER_DELAY = 1000
+
+// 各显示方式对应的背景样式，position 为 null 时使用焦点位置
+const FIT_STYLES = {
+  cover: { size: 'cover', repeat: 'no-repeat', position: null },
+  contain: { size: 'contain', repeat: 'no-repeat', position: 'center' },
+  fill: { size: '100% 100%', repeat: 'no-repeat', position: 'center' },
+  tile: { size: 'auto', repeat: 'repeat', position: 'top left' },
+  center: { size: 'auto', repeat: 'no-repeat', position: 'center' },
+}
 
 class Wallpaper {
-  constructor() {
+  /**
+   * @param {Theme} [theme] - 主题模块，用于确定初始的有效主题
+   * @param {Clock} [clock] - 时钟模块，按时段切换时每秒检查当前时段
+   */
+  constructor(theme = null, clock = null) {
+    this.theme = theme
+    this.clock = clock
+    this.effectiveTheme = 'light'
     this.wallpaperContainer = document.getElementById('wallpaper-container')
     this.wallpaperOverlay = document.getElementById('wallpaper-overlay')
     this.currentSettings = {
       imageUrl: 'assets/images/default.png', // 默认背景图片
+      library: [], // 壁纸库
+      currentId: null, // 当前壁纸ID，null 表示默认壁纸
+      rotation: {
+        mode: 'off',
+        interval: 60,
+        order: 'sequential',
+        favoritesOnly: false,
+      },
+      rotationState: { sequence: [], index: -1, changedAt: 0 },
+      schedule: [], // 按时段切换的时段
+      type: 'image', // 壁纸类型
       blur: 0,
       overlayOpacity: 0.3,
+      overlayColor: '#000000',
+      adjustments: {
+        brightness: 100,
+        contrast: 100,
+        saturation: 100,
+        grayscale: 0,
+        vignette: 0,
+      },
+      fit: 'cover',
+      focalPoint: { x: 50, y: 50 },
+      backgroundColor: '#000000',
     }
+    this.renderToken = 0 // 用于丢弃过期的异步渲染结果
+    this.displayedId = null // 最近一次应用的壁纸ID
+    this.fadeLayer = null // 淡出中的上一张壁纸
+    this.palette = null // 当前壁纸的配色
+    this.paletteCache = new Map() // 默认壁纸等非壁纸库图片：图片地址 -> 配色
+    this.bakedOverlayOpacity = 0 // 已叠加到当前预渲染图片中的遮罩透明度
+    this.minOverlayOpacity = 0 // 保证文字对比度所需的最低遮罩透明度
+    this.rotationTimer = null
+    this.refreshTimer = null // 网络壁纸更新定时器
+    this.currentMedia = null // 当前播放的视频或动图 { item, mediaUrl, posterUrl }
+    this.videoElement = null
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)')
+    this.handlePlaybackChange = () => this.updateMediaPlayback()
+    this.handleTick = () => this.checkSchedule()
     this.init()
   }
 
@@ -20,12 +90,31 @@ class Wallpaper {
    * 初始化壁纸系统
    */
   async init() {
+    // 标签页隐藏或系统要求减少动态效果时暂停视频和动图
+    document.addEventListener('visibilitychange', this.handlePlaybackChange)
+    this.reducedMotion.addEventListener('change', this.handlePlaybackChange)
+
     try {
+      // 等待主题加载，避免深色模式下先闪现浅色壁纸
+      if (this.theme) {
+        await this.theme.ready
+        this.effectiveTheme = this.theme.getEffectiveTheme()
+      }
+
+      // 每次打开新标签页时检查是否需要轮换
+      await wallpaperLibrary.rotateIfDue({ isNewTab: true })
+
       // 加载壁纸设置
       await this.loadWallpaperSettings()
 
       // 应用壁纸
       this.applyWallpaper()
+      this.scheduleRotation()
+      this.scheduleRefresh()
+
+      if (this.clock) {
+        this.clock.onTick(this.handleTick)
+      }
     } catch (error) {
       console.error('Wallpaper initialization failed:', error)
     }
@@ -46,111 +135,707 @@ class Wallpaper {
     }
   }
 
+  /**
+   * 获取按时段切换时当前所在的时段
+   * @param {Object} [settings] - 壁纸设置，默认为当前设置
+   * @returns {Object|null} 时段，未使用按时段切换时返回 null
+   */
+  getCurrentSlot(settings = this.currentSettings) {
+    if (settings.type && settings.type !== 'image') return null
+    if (!settings.rotation || settings.rotation.mode !== 'schedule') return null
+
+    return getScheduleSlot(settings.schedule, new Date())
+  }
+
+  /**
+   * 计算实际显示的壁纸设置
+   * 按时段切换时使用当前时段指定的壁纸；深色主题下启用了深色模式壁纸时，替换图片、模糊和遮罩
+   * @param {Object} [settings] - 壁纸设置，默认为当前设置
+   * @returns {Object} 用于显示的壁纸设置
+   */
+  getActiveSettings(settings = this.currentSettings) {
+    const slot = this.getCurrentSlot(settings)
+    const active =
+      slot && slot.itemId ? { ...settings, currentId: slot.itemId } : settings
+
+    const dark = settings.dark
+    if (this.effectiveTheme !== 'dark' || !dark || !dark.enabled) {
+      return active
+    }
+
+    return {
+      ...active,
+      type: 'image',
+      currentId: dark.currentId,
+      blur: dark.blur,
+      overlayOpacity: dark.overlayOpacity,
+    }
+  }
+
+  /**
+   * 获取当前显示的壁纸
+   * @param {Object} [settings] - 用于显示的壁纸设置
+   * @returns {Object|null} 壁纸库中的当前壁纸，使用默认壁纸时返回 null
+   */
+  getCurrentItem(settings = this.getActiveSettings()) {
+    const { library = [], currentId } = settings
+    return library.find((item) => item.id === currentId) || null
+  }
+
+  /**
+   * 切换有效主题，启用了深色模式壁纸时重新应用壁纸
+   * @param {string} theme - 'light' | 'dark'
+   */
+  setEffectiveTheme(theme) {
+    if (theme === this.effectiveTheme) return
+
+    this.effectiveTheme = theme
+    if (this.currentSettings.dark && this.currentSettings.dark.enabled) {
+      this.applyWallpaper()
+    }
+  }
+
+  /**
+   * 解析当前壁纸的图片地址
+   * 壁纸库中的图片从 IndexedDB 读取并转换为 object URL
+   * @returns {Promise<string>} 图片地址
+   */
+  async resolveImageUrl() {
+    const item = this.getCurrentItem()
+
+    if (item) {
+      try {
+        const objectUrl = await assetStore.getObjectUrl(item.assetId)
+        if (objectUrl) return objectUrl
+        console.error('Wallpaper asset not found:', item.assetId)
+      } catch (error) {
+        console.error('Failed to load wallpaper asset:', error)
+      }
+    }
+
+    // 如果没有设置壁纸，使用默认背景
+    return this.getActiveSettings().imageUrl || 'assets/images/default.png'
+  }
+
   /**
    * 应用壁纸
+   * 设置了模糊时显示预渲染的模糊图片，缓存生成期间临时使用 CSS 滤镜
    */
-  applyWallpaper() {
+  async applyWallpaper() {
+    const token = ++this.renderToken
+    const settings = this.getActiveSettings()
+    this.displayedId = settings.currentId
+    this.updatePalette(token)
+
+    // 纯色、渐变和图案壁纸
+    if (settings.type && settings.type !== 'image') {
+      this.showBackground()
+      return
+    }
+
+    // 视频和动图
+    const item = this.getCurrentItem()
+    if (item && (item.kind === 'video' || item.kind === 'animated')) {
+      await this.showMedia(item, token)
+      return
+    }
+
     // 应用壁纸图片
-    if (this.currentSettings.imageUrl) {
-      this.wallpaperContainer.style.backgroundImage = `url(${this.currentSettings.imageUrl})`
-    } else {
-      // 如果没有设置壁纸，使用默认背景
-      this.wallpaperContainer.style.backgroundImage = `url(assets/images/default.png)`
+    const imageUrl = await this.resolveImageUrl()
+    if (token !== this.renderToken) return
+
+    const blur = settings.blur || 0
+    if (blur === 0) {
+      this.showImage(imageUrl)
+      return
     }
 
-    // 应用模糊效果
-    this.applyBlur()
+    const sourceId = this.getBlurSourceId()
+    const variantKey = this.getBlurVariantKey()
+
+    try {
+      let blurredUrl = await assetStore.getVariantObjectUrl(
+        sourceId,
+        variantKey,
+      )
+      if (token !== this.renderToken) return
+
+      if (!blurredUrl) {
+        this.showImage(imageUrl, { blur })
 
-    // 应用遮罩透明度
-    this.applyOverlayOpacity()
+        const response = await fetch(imageUrl)
+        const blurred = await renderBlurredImage(await response.blob(), {
+          blur,
+          overlayOpacity: this.getBakedOverlayOpacity(),
+          overlayColor: settings.overlayColor,
+          filter: this.getAdjustmentFilter(),
+        })
+        await assetStore.putVariant(sourceId, variantKey, blurred)
+        if (token !== this.renderToken) return
+
+        blurredUrl = await assetStore.getVariantObjectUrl(sourceId, variantKey)
+        if (token !== this.renderToken) return
+      }
+
+      this.showImage(blurredUrl, { prerendered: true })
+    } catch (error) {
+      console.error('Failed to render blurred wallpaper:', error)
+      if (token === this.renderToken) {
+        this.showImage(imageUrl, { blur })
+      }
+    }
   }
 
   /**
-   * 应用模糊效果
+   * 检查是否到达下一个时段
+   * 由时钟每秒调用，时段指定的壁纸与当前显示的不同时淡入淡出切换
    */
-  applyBlur() {
-    const blurValue = this.currentSettings.blur || 0
-    this.wallpaperContainer.style.filter = `blur(${blurValue}px)`
+  checkSchedule() {
+    if (!this.getCurrentSlot()) return
+
+    if (this.getActiveSettings().currentId !== this.displayedId) {
+      this.crossfade()
+    }
   }
 
   /**
-   * 应用遮罩透明度
+   * 以淡入淡出效果切换壁纸
+   * 在新壁纸上方保留上一张壁纸的副本并逐渐淡出；标签页隐藏或系统要求减少动态效果时直接切换
    */
-  applyOverlayOpacity() {
-    const opacity = this.currentSettings.overlayOpacity || 0.3
-    this.wallpaperOverlay.style.backgroundColor = `rgba(0, 0, 0, ${opacity})`
+  async crossfade() {
+    this.removeFadeLayer()
+
+    if (document.hidden || this.reducedMotion.matches) {
+      await this.applyWallpaper()
+      return
+    }
+
+    // 只复制容器本身的背景样式，正在播放的视频以封面代替
+    const layer = this.wallpaperContainer.cloneNode(false)
+    layer.removeAttribute('id')
+    layer.classList.add('wallpaper-fade')
+    this.wallpaperContainer.after(layer)
+    this.fadeLayer = layer
+
+    await this.applyWallpaper()
+    if (this.fadeLayer !== layer) return
+
+    layer.addEventListener('transitionend', () => {
+      if (this.fadeLayer === layer) this.removeFadeLayer()
+    })
+    requestAnimationFrame(() => layer.classList.add('fading'))
   }
 
   /**
-   * 上传壁纸
-   * @param {File} file - 图片文件
-   * @returns {Promise<string>} Base64 字符串
-   */
-  uploadWallpaper(file) {
-    return new Promise((resolve, reject) => {
-      // 检查文件类型
-      if (!file.type.match('image.*')) {
-        reject(new Error('请选择图片文件'))
-        return
-      }
+   * 移除淡出中的壁纸副本
+   */
+  removeFadeLayer() {
+    if (this.fadeLayer) {
+      this.fadeLayer.remove()
+      this.fadeLayer = null
+    }
+  }
+
+  /**
+   * 显示壁纸图片
+   * @param {string} url - 图片地址
+   * @param {Object} [options] - 显示选项
+   * @param {number} [options.blur] - CSS 滤镜模糊强度
+   * @param {boolean} [options.prerendered] - 图片是否已包含模糊、图片调整和遮罩
+   */
+  showImage(url, { blur = 0, prerendered = false } = {}) {
+    this.clearMedia()
+    this.wallpaperContainer.style.backgroundImage = `url(${url})`
+    this.applyLayout()
+
+    const filter = prerendered
+      ? ''
+      : [blur > 0 ? `blur(${blur}px)` : '', this.getAdjustmentFilter()]
+          .filter(Boolean)
+          .join(' ')
+    this.wallpaperContainer.style.filter = filter || 'none'
+
+    // 预渲染的图片已叠加遮罩
+    this.applyOverlay(prerendered ? this.getBakedOverlayOpacity() : 0)
+  }
+
+  /**
+   * 应用遮罩颜色、透明度和暗角
+   * 暗角不随模糊预渲染，始终由遮罩层绘制；需要保证文字对比度时在用户设置的基础上加深遮罩
+   * @param {number} [baked] - 已叠加到图片中的遮罩透明度
+   */
+  applyOverlay(baked = 0) {
+    const { overlayColor, adjustments } = this.getActiveSettings()
+    const style = this.wallpaperOverlay.style
+    const opacity = Math.max(this.getOverlayOpacity(), this.minOverlayOpacity)
+
+    // 两层透明度分别为 a 和 b 的同色遮罩叠加后为 1 - (1 - a)(1 - b)
+    // 图片中已叠加不透明的遮罩时无需再叠加
+    const layer = baked >= 1 ? 0 : Math.max(0, 1 - (1 - opacity) / (1 - baked))
+
+    this.bakedOverlayOpacity = baked
+    style.backgroundColor = toRgba(overlayColor, Math.round(layer * 100) / 100)
+    style.backgroundImage = buildVignette(adjustments && adjustments.vignette)
+  }
+
+  /**
+   * 设置保证文字对比度所需的最低遮罩透明度
+   * 只调整遮罩层，不重新渲染壁纸
+   * @param {number} opacity - 最低透明度，0 表示只使用用户设置的遮罩
+   */
+  setMinOverlayOpacity(opacity) {
+    if (opacity === this.minOverlayOpacity) return
+
+    this.minOverlayOpacity = opacity
+    this.applyOverlay(this.bakedOverlayOpacity)
+  }
+
+  /**
+   * 更新当前壁纸的配色
+   * 配色按图片调整和暗角换算后以 CSS 变量提供给页面样式，并通过 wallpaperPaletteChanged 事件通知主题模块选择文字颜色
+   * @param {number} token - 渲染序号
+   */
+  async updatePalette(token) {
+    const settings = this.getActiveSettings()
+
+    try {
+      // 图片调整只作用于图片、视频和动图，暗角覆盖所有类型的壁纸
+      const adjustments = settings.adjustments || {}
+      const palette = adjustPalette(
+        await this.resolvePalette(settings),
+        settings.type && settings.type !== 'image'
+          ? { vignette: adjustments.vignette }
+          : adjustments,
+      )
+      if (token !== this.renderToken || !palette) return
+
+      this.palette = palette
+      const style = document.documentElement.style
+      style.setProperty('--wallpaper-dominant-color', palette.dominant)
+      style.setProperty('--wallpaper-accent-color', palette.accent)
+      style.setProperty('--wallpaper-average-color', palette.average)
+      style.setProperty('--wallpaper-luminance', String(palette.luminance))
+
+      document.dispatchEvent(
+        new CustomEvent('wallpaperPaletteChanged', {
+          detail: {
+            palette,
+            overlayColor: settings.overlayColor,
+            overlayOpacity: this.getOverlayOpacity(),
+          },
+        }),
+      )
+    } catch (error) {
+      console.error('Failed to extract wallpaper palette:', error)
+    }
+  }
+
+  /**
+   * 获取壁纸的配色
+   * 壁纸库中的图片只提取一次，结果保存在资源记录中；视频和动图使用封面
+   * @param {Object} settings - 用于显示的壁纸设置
+   * @returns {Promise<Object|null>} 配色，见 palette.js
+   */
+  async resolvePalette(settings) {
+    if (settings.type && settings.type !== 'image') {
+      return getBackgroundPalette(settings)
+    }
+
+    const item = this.getCurrentItem(settings)
+    const assetId =
+      item && (item.kind === 'video' || item.kind === 'animated')
+        ? item.posterAssetId
+        : item && item.assetId
 
-      // 检查文件大小 (限制为5MB)
-      if (file.size > 5 * 1024 * 1024) {
-        reject(new Error('图片文件大小不能超过5MB'))
-        return
+    if (assetId) {
+      const meta = await assetStore.getMeta(assetId)
+      if (meta && meta.palette) return meta.palette
+
+      const blob = await assetStore.get(assetId)
+      if (blob) {
+        const palette = await extractPalette(blob)
+        await assetStore.updateMeta(assetId, { palette })
+        return palette
       }
+    }
+
+    // 默认壁纸只在内存中缓存
+    const imageUrl = settings.imageUrl || 'assets/images/default.png'
+    if (!this.paletteCache.has(imageUrl)) {
+      const response = await fetch(imageUrl)
+      const palette = await extractPalette(await response.blob())
+      this.paletteCache.set(imageUrl, palette)
+    }
+    return this.paletteCache.get(imageUrl)
+  }
+
+  /**
+   * 获取图片调整的滤镜
+   * @returns {string} 滤镜，没有调整时返回空字符串
+   */
+  getAdjustmentFilter() {
+    return buildAdjustmentFilter(this.getActiveSettings().adjustments)
+  }
+
+  /**
+   * 显示纯色、渐变或图案背景
+   */
+  showBackground() {
+    this.clearMedia()
+    const background = getBackgroundStyle(this.getActiveSettings())
+    const style = this.wallpaperContainer.style
+
+    style.backgroundImage = background.image
+    style.backgroundSize = background.size
+    style.backgroundRepeat = background.repeat
+    style.backgroundPosition = 'center'
+    style.backgroundColor = background.color
+    style.filter = 'none'
+
+    this.applyOverlay()
+  }
+
+  /**
+   * 显示视频或动图壁纸
+   * 先显示上传时提取的封面，再开始播放；模糊使用 CSS 滤镜
+   * @param {Object} item - 壁纸库条目
+   * @param {number} token - 渲染序号
+   */
+  async showMedia(item, token) {
+    let mediaUrl
+    let posterUrl
+    try {
+      ;[mediaUrl, posterUrl] = await Promise.all([
+        assetStore.getObjectUrl(item.assetId),
+        assetStore.getObjectUrl(item.posterAssetId),
+      ])
+    } catch (error) {
+      console.error('Failed to load wallpaper media:', error)
+    }
+    if (token !== this.renderToken) return
+
+    const settings = this.getActiveSettings()
+    const fallbackUrl = settings.imageUrl || 'assets/images/default.png'
+    this.showImage(posterUrl || fallbackUrl, { blur: settings.blur || 0 })
+    if (!mediaUrl) return
 
-      const reader = new FileReader()
+    this.currentMedia = { item, mediaUrl, posterUrl: posterUrl || fallbackUrl }
+    this.updateMediaPlayback()
+  }
+
+  /**
+   * 根据标签页可见性和减少动态效果设置播放或暂停
+   */
+  updateMediaPlayback() {
+    const media = this.currentMedia
+    if (!media) return
 
-      reader.onload = async (e) => {
+    const shouldPlay =
+      document.visibilityState === 'visible' && !this.reducedMotion.matches
+
+    if (media.item.kind === 'animated') {
+      // 动图无法暂停，暂停时改为显示封面
+      const url = shouldPlay ? media.mediaUrl : media.posterUrl
+      this.wallpaperContainer.style.backgroundImage = `url(${url})`
+      return
+    }
+
+    const video = this.getVideoElement()
+    if (!shouldPlay) {
+      video.pause()
+      return
+    }
+
+    if (video.getAttribute('src') !== media.mediaUrl) {
+      video.src = media.mediaUrl
+    }
+    this.applyVideoLayout()
+    video.play().catch((error) => {
+      console.error('Failed to play wallpaper video:', error)
+    })
+  }
+
+  /**
+   * 获取（必要时创建）壁纸视频元素
+   * 视频位于壁纸容器内，位于遮罩层之下，并随容器一起应用模糊
+   * @returns {HTMLVideoElement}
+   */
+  getVideoElement() {
+    if (!this.videoElement) {
+      const video = document.createElement('video')
+      video.className = 'wallpaper-video'
+      video.muted = true
+      video.loop = true
+      video.playsInline = true
+      video.addEventListener('playing', () => {
+        video.classList.add('visible')
+      })
+      this.wallpaperContainer.appendChild(video)
+      this.videoElement = video
+    }
+
+    return this.videoElement
+  }
+
+  /**
+   * 按显示方式和焦点设置视频布局
+   */
+  applyVideoLayout() {
+    if (!this.videoElement) return
+
+    const fitMap = {
+      cover: 'cover',
+      contain: 'contain',
+      fill: 'fill',
+      tile: 'cover', // 视频不支持平铺
+      center: 'none',
+    }
+    const { x, y } = this.getFocalPoint()
+    const fit = fitMap[this.getActiveSettings().fit] || 'cover'
+
+    this.videoElement.style.objectFit = fit
+    this.videoElement.style.objectPosition =
+      fit === 'cover' ? `${x}% ${y}%` : 'center'
+  }
+
+  /**
+   * 停止并移除视频或动图
+   */
+  clearMedia() {
+    this.currentMedia = null
+
+    if (this.videoElement) {
+      this.videoElement.pause()
+      this.videoElement.remove()
+      this.videoElement = null
+    }
+  }
+
+  /**
+   * 应用显示方式、焦点位置和背景颜色
+   */
+  applyLayout() {
+    const { fit, backgroundColor } = this.getActiveSettings()
+    const layout = FIT_STYLES[fit] || FIT_STYLES.cover
+    const { x, y } = this.getFocalPoint()
+    const style = this.wallpaperContainer.style
+
+    style.backgroundSize = layout.size
+    style.backgroundRepeat = layout.repeat
+    style.backgroundPosition = layout.position || `${x}% ${y}%`
+    style.backgroundColor = backgroundColor || '#000000'
+    this.applyVideoLayout()
+  }
+
+  /**
+   * 获取当前壁纸的焦点位置
+   * @returns {Object} { x, y }，单位为百分比
+   */
+  getFocalPoint() {
+    const item = this.getCurrentItem()
+    return (
+      (item && item.focalPoint) ||
+      this.getActiveSettings().focalPoint || { x: 50, y: 50 }
+    )
+  }
+
+  /**
+   * 获取遮罩透明度
+   * @returns {number} 透明度
+   */
+  getOverlayOpacity() {
+    return this.getActiveSettings().overlayOpacity ?? 0.3
+  }
+
+  /**
+   * 判断遮罩是否直接叠加到预渲染图片中
+   * 图片未铺满屏幕时留白区域也需要遮罩，此时仍使用遮罩层
+   * @returns {boolean}
+   */
+  isOverlayBaked() {
+    return ['cover', 'fill'].includes(this.getActiveSettings().fit || 'cover')
+  }
+
+  /**
+   * 获取叠加到预渲染图片中的遮罩透明度
+   * @returns {number} 透明度
+   */
+  getBakedOverlayOpacity() {
+    return this.isOverlayBaked() ? this.getOverlayOpacity() : 0
+  }
+
+  /**
+   * 获取模糊缓存的来源标识
+   * 壁纸库中的图片使用资源ID，默认壁纸使用图片地址
+   * @returns {string} 来源标识
+   */
+  getBlurSourceId() {
+    const item = this.getCurrentItem()
+    return item ? item.assetId : `url:${this.getActiveSettings().imageUrl}`
+  }
+
+  /**
+   * 获取模糊缓存的变体标识
+   * 模糊强度、遮罩或屏幕尺寸变化时需要重新渲染
+   * @returns {string} 变体标识
+   */
+  getBlurVariantKey() {
+    const ratio = window.devicePixelRatio || 1
+    return [
+      `blur${this.getActiveSettings().blur}`,
+      `overlay${this.getBakedOverlayOpacity()}`,
+      `tint${this.getActiveSettings().overlayColor}`,
+      `adjust${this.getAdjustmentFilter().replace(/\s+/g, ',')}`,
+      `${screen.width}x${screen.height}@${ratio}`,
+    ].join('_')
+  }
+
+  /**
+   * 安排下一次定时轮换
+   * 到时后重新检查存储中的状态，其他标签页已轮换时不会重复切换
+   */
+  scheduleRotation() {
+    if (this.rotationTimer) {
+      clearTimeout(this.rotationTimer)
+      this.rotationTimer = null
+    }
+
+    if (!wallpaperLibrary.canRotate(this.currentSettings)) return
+
+    const delay = getNextRotationDelay(
+      this.currentSettings.rotation,
+      this.currentSettings.rotationState,
+      Date.now(),
+    )
+    if (delay === null) return
+
+    this.rotationTimer = setTimeout(
+      async () => {
+        this.rotationTimer = null
         try {
-          const imageUrl = e.target.result
-          await this.setWallpaper(imageUrl)
-          resolve(imageUrl)
+          // 轮换成功后由存储变化触发重新计时
+          const rotated = await wallpaperLibrary.rotateIfDue()
+          if (!rotated) this.scheduleRotation()
         } catch (error) {
-          reject(error)
+          console.error('Failed to rotate wallpaper:', error)
         }
-      }
+      },
+      Math.min(Math.max(delay, MIN_TIMER_DELAY), MAX_TIMER_DELAY),
+    )
+  }
 
-      reader.onerror = () => {
-        reject(new Error('读取文件失败'))
-      }
+  /**
+   * 设置下一次检查网络壁纸的定时器
+   * 下载在后台进行，完成前继续显示已缓存的图片
+   */
+  scheduleRefresh() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer)
+      this.refreshTimer = null
+    }
 
-      reader.readAsDataURL(file)
-    })
+    const delay = getNextRefreshDelay(this.currentSettings.library, Date.now())
+    if (delay === null) return
+
+    this.refreshTimer = setTimeout(
+      async () => {
+        this.refreshTimer = null
+        try {
+          await wallpaperLibrary.refreshRemote()
+        } catch (error) {
+          console.error('Failed to refresh remote wallpapers:', error)
+        }
+        this.scheduleRefresh()
+      },
+      Math.min(Math.max(delay, MIN_TIMER_DELAY), MAX_TIMER_DELAY),
+    )
   }
 
   /**
-   * 设置壁纸
-   * @param {string} imageUrl - Base64 图片URL
+   * 应用存储中变化的壁纸设置（包括其他标签页的修改）
+   * @param {Object} wallpaperSettings - 新的壁纸设置
    */
-  async setWallpaper(imageUrl) {
-    this.currentSettings.imageUrl = imageUrl
-    this.applyWallpaper()
+  updateSettings(wallpaperSettings) {
+    const oldSettings = this.currentSettings
+    this.currentSettings = {
+      ...this.currentSettings,
+      ...wallpaperSettings,
+    }
 
-    // 保存设置
-    try {
-      await storageManager.updateCategory('wallpaper', {
-        imageUrl: imageUrl,
-      })
-    } catch (error) {
-      console.error('Failed to save wallpaper:', error)
-      throw error
+    // 释放已从壁纸库删除的图片
+    const assetIds = (this.currentSettings.library || []).map(
+      (item) => item.assetId,
+    )
+    ;(oldSettings.library || []).forEach((item) => {
+      if (!assetIds.includes(item.assetId)) {
+        assetStore.revokeObjectUrl(item.assetId)
+        assetStore.revokeObjectUrl(item.posterAssetId)
+      }
+    })
+
+    // 比较实际显示的设置（深色模式下为深色模式壁纸）
+    const oldActive = this.getActiveSettings(oldSettings)
+    const newActive = this.getActiveSettings()
+    const oldItem = this.getCurrentItem(oldActive)
+    const newItem = this.getCurrentItem(newActive)
+    if (
+      (oldItem && oldItem.assetId) !== (newItem && newItem.assetId) ||
+      [
+        'imageUrl',
+        'blur',
+        'overlayOpacity',
+        'overlayColor',
+        'adjustments',
+        'fit',
+        'type',
+        'color',
+        'gradient',
+        'pattern',
+      ].some(
+        (key) =>
+          JSON.stringify(oldActive[key]) !== JSON.stringify(newActive[key]),
+      )
+    ) {
+      this.applyWallpaper()
+    } else if (newActive.type === 'image') {
+      this.applyLayout()
     }
+
+    this.scheduleRotation()
+    this.scheduleRefresh()
+  }
+
+  /**
+   * 上传壁纸
+   * 图片以 Blob 形式加入壁纸库，并切换到最后上传的一张
+   * @param {FileList|Array<File>} files - 图片文件
+   * @param {Object} [options] - { onProgress } 每处理完一个文件调用一次
+   * @returns {Promise<Object>} { added, errors }
+   */
+  async uploadWallpaper(files, options) {
+    return wallpaperLibrary.addFiles(files, options)
+  }
+
+  /**
+   * 撤销上传：移除上传的壁纸并恢复之前的壁纸
+   * @param {Array} added - 上传时添加的壁纸库条目
+   * @param {Object} previous - 上传前的设置 { type, currentId, rotationState }
+   */
+  async undoUpload(added, previous) {
+    return wallpaperLibrary.undoAdd(added, previous)
   }
 
   /**
-   * 移除壁纸
+   * 移除壁纸（恢复默认壁纸，保留壁纸库）
    */
   async removeWallpaper() {
-    this.currentSettings.imageUrl = 'assets/images/default.png' // 恢复到默认背景
+    this.currentSettings.currentId = null
+    this.currentSettings.type = 'image'
     this.applyWallpaper()
 
     // 保存设置
     try {
-      await storageManager.updateCategory('wallpaper', {
-        imageUrl: 'assets/images/default.png', // 恢复到默认背景
-      })
+      await wallpaperLibrary.select(null)
     } catch (error) {
       console.error('Failed to remove wallpaper:', error)
       throw error
@@ -162,8 +847,11 @@ class Wallpaper {
    * @param {number} blur - 模糊强度 (0-20)
    */
   async setBlur(blur) {
-    this.currentSettings.blur = blur
-    this.applyBlur()
+    // 存储变化可能已先应用了新值，避免重复渲染
+    if (this.currentSettings.blur !== blur) {
+      this.currentSettings.blur = blur
+      this.applyWallpaper()
+    }
 
     // 保存设置
     try {
@@ -181,8 +869,11 @@ class Wallpaper {
    * @param {number} opacity - 透明度 (0-0.8)
    */
   async setOverlayOpacity(opacity) {
-    this.currentSettings.overlayOpacity = opacity
-    this.applyOverlayOpacity()
+    // 存储变化可能已先应用了新值，避免重复渲染
+    if (this.currentSettings.overlayOpacity !== opacity) {
+      this.currentSettings.overlayOpacity = opacity
+      this.applyWallpaper()
+    }
 
     // 保存设置
     try {
@@ -195,6 +886,55 @@ class Wallpaper {
     }
   }
 
+  /**
+   * 设置遮罩颜色
+   * @param {string} color - #rrggbb 格式的颜色
+   */
+  async setOverlayColor(color) {
+    // 存储变化可能已先应用了新值，避免重复渲染
+    if (this.currentSettings.overlayColor !== color) {
+      this.currentSettings.overlayColor = color
+      this.applyWallpaper()
+    }
+
+    // 保存设置
+    try {
+      await storageManager.updateCategory('wallpaper', {
+        overlayColor: color,
+      })
+    } catch (error) {
+      console.error('Failed to save overlay color settings:', error)
+      throw error
+    }
+  }
+
+  /**
+   * 设置图片调整
+   * @param {Object} adjustments - 要更新的调整 { brightness, contrast, saturation, grayscale, vignette }
+   */
+  async setAdjustments(adjustments) {
+    const merged = { ...this.currentSettings.adjustments, ...adjustments }
+
+    // 存储变化可能已先应用了新值，避免重复渲染
+    if (
+      JSON.stringify(this.currentSettings.adjustments) !==
+      JSON.stringify(merged)
+    ) {
+      this.currentSettings.adjustments = merged
+      this.applyWallpaper()
+    }
+
+    // 保存设置
+    try {
+      await storageManager.updateCategory('wallpaper', {
+        adjustments: merged,
+      })
+    } catch (error) {
+      console.error('Failed to save wallpaper adjustments:', error)
+      throw error
+    }
+  }
+
   /**
    * 获取当前壁纸设置
    * @returns {Object} 壁纸设置对象
@@ -205,18 +945,41 @@ class Wallpaper {
 
   /**
    * 重置壁纸设置
+   * 恢复默认壁纸并关闭轮换，壁纸库中的图片保留
    */
   async resetSettings() {
-    this.currentSettings = {
+    const resetValues = {
       imageUrl: 'assets/images/default.png', // 默认背景图片
+      type: 'image',
+      currentId: null,
+      rotation: { ...this.currentSettings.rotation, mode: 'off' },
       blur: 0,
       overlayOpacity: 0.3,
+      overlayColor: '#000000',
+      adjustments: {
+        brightness: 100,
+        contrast: 100,
+        saturation: 100,
+        grayscale: 0,
+        vignette: 0,
+      },
+      fit: 'cover',
+      focalPoint: { x: 50, y: 50 },
+      backgroundColor: '#000000',
+      dark: {
+        enabled: false,
+        currentId: null,
+        blur: 0,
+        overlayOpacity: 0.5,
+      },
     }
+    this.currentSettings = { ...this.currentSettings, ...resetValues }
     this.applyWallpaper()
+    this.scheduleRotation()
 
     // 保存设置
     try {
-      await storageManager.updateCategory('wallpaper', this.currentSettings)
+      await storageManager.updateCategory('wallpaper', resetValues)
     } catch (error) {
       console.error('Failed to reset wallpaper settings:', error)
       throw error
@@ -235,16 +998,36 @@ class Wallpaper {
 
         // 检查是否有变化
         if (JSON.stringify(oldWallpaper) !== JSON.stringify(newWallpaper)) {
-          this.currentSettings = {
-            ...this.currentSettings,
-            ...newWallpaper,
-          }
-          this.applyWallpaper()
+          this.updateSettings(newWallpaper)
           callback(this.currentSettings, oldWallpaper)
         }
       }
     })
   }
+
+  /**
+   * 销毁壁纸模块
+   */
+  destroy() {
+    document.removeEventListener('visibilitychange', this.handlePlaybackChange)
+    this.reducedMotion.removeEventListener('change', this.handlePlaybackChange)
+    this.clearMedia()
+    this.removeFadeLayer()
+
+    if (this.clock) {
+      this.clock.offTick(this.handleTick)
+    }
+
+    if (this.rotationTimer) {
+      clearTimeout(this.rotationTimer)
+      this.rotationTimer = null
+    }
+
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer)
+      this.refreshTimer = null
+    }
+  }
 }
 
 export default Wallpaper
@@ -0,0 +1,68 @@
+/**
+ * chrome 扩展 API 替身
+ * 提供内存中的 chrome.storage.local，回调异步执行以模拟真实的读写时序
+ */
+
+/**
+ * 安装 chrome 替身
+ * Node.js 20 没有 navigator.locks，同时提供按调用顺序串行执行的替身
+ * @returns {Object} { store } 存储内容，测试中可直接读写
+ */
+export function installChromeStub() {
+  const store = {}
+  const listeners = []
+  const later = (callback) => setTimeout(callback, 0)
+
+  globalThis.chrome = {
+    runtime: { lastError: null },
+    storage: {
+      local: {
+        get(keys, callback) {
+          later(() => {
+            const result = {}
+            keys.forEach((key) => {
+              if (key in store) result[key] = structuredClone(store[key])
+            })
+            callback(result)
+          })
+        },
+        set(items, callback) {
+          later(() => {
+            Object.entries(items).forEach(([key, value]) => {
+              const oldValue = store[key]
+              store[key] = structuredClone(value)
+              listeners.forEach((listener) =>
+                listener({ [key]: { oldValue, newValue: value } }, 'local'),
+              )
+            })
+            if (callback) callback()
+          })
+        },
+        remove(keys, callback) {
+          later(() => {
+            keys.forEach((key) => delete store[key])
+            if (callback) callback()
+          })
+        },
+      },
+      onChanged: { addListener: (listener) => listeners.push(listener) },
+    },
+  }
+
+  if (!globalThis.navigator || !globalThis.navigator.locks) {
+    let queue = Promise.resolve()
+    const locks = {
+      request(name, callback) {
+        const result = queue.then(() => callback())
+        queue = result.catch(() => {})
+        return result
+      },
+    }
+    Object.defineProperty(globalThis, 'navigator', {
+      value: { ...globalThis.navigator, locks },
+      configurable: true,
+    })
+  }
+
+  return { store }
+}
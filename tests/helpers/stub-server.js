@@ -0,0 +1,48 @@
+/**
+ * 本地 HTTP 替身服务器
+ * 按路径分发到测试提供的处理函数，并记录收到的请求
+ */
+import http from 'node:http'
+
+/**
+ * 启动替身服务器
+ * @param {Object} routes - 路径 -> (req, res, url) => void
+ * @returns {Promise<Object>} { origin, requests, close }
+ */
+export async function startStubServer(routes) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    requests.push({ path: url.pathname, url, headers: req.headers })
+
+    const handler = routes[url.pathname]
+    if (!handler) {
+      res.writeHead(404)
+      res.end()
+      return
+    }
+    handler(req, res, url)
+  })
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+
+  return {
+    origin: `http://127.0.0.1:${port}`,
+    requests,
+    close() {
+      server.closeAllConnections()
+      return new Promise((resolve) => server.close(resolve))
+    },
+  }
+}
+
+/**
+ * 发送 JSON 响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {*} data - 响应数据
+ */
+export function sendJson(res, data) {
+  res.writeHead(200, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(data))
+}
@@ -0,0 +1,249 @@
+/**
+ * 设置迁移测试
+ * 每个版本的固定设置数据见 tests/fixtures/settings-v*.json
+ */
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { installChromeStub } from './helpers/chrome-stub.js'
+
+const { store } = installChromeStub()
+
+const {
+  migrations,
+  migrateSettings,
+  getSchemaVersion,
+  CURRENT_SCHEMA_VERSION,
+} = await import('../scripts/migrations.js')
+const { default: storageManager } = await import('../scripts/storage.js')
+
+const STORAGE_KEY = 'tabExtensionSettings'
+
+/**
+ * 读取某个版本的固定设置数据
+ * @param {number} version - 结构版本
+ * @returns {Object} 设置对象
+ */
+function loadFixture(version) {
+  return JSON.parse(
+    readFileSync(
+      new URL(`./fixtures/settings-v${version}.json`, import.meta.url),
+    ),
+  )
+}
+
+/**
+ * 创建记录保存次数的资源存储替身
+ * @returns {Object} 资源存储
+ */
+function createAssetStore() {
+  const assets = new Map()
+  return {
+    assets,
+    async put(blob, meta, id = `asset_${assets.size}`) {
+      assets.set(id, blob)
+      return id
+    },
+  }
+}
+
+/**
+ * 执行单个版本的迁移
+ * @param {number} version - 目标版本
+ * @param {Object} settings - 上一版本的设置
+ * @param {Object} [assetStore] - 资源存储替身
+ * @returns {Promise<Object>} 迁移后的设置
+ */
+function runStep(version, settings, assetStore = createAssetStore()) {
+  const migration = migrations.find((item) => item.version === version)
+  return migration.migrate(structuredClone(settings), {
+    defaults: storageManager.defaultSettings,
+    assetStore,
+  })
+}
+
+test('迁移版本连续递增', () => {
+  migrations.forEach((migration, index) => {
+    assert.equal(migration.version, index + 1)
+  })
+  assert.equal(CURRENT_SCHEMA_VERSION, migrations.length)
+})
+
+test('v0 → v1：为内置搜索引擎补充关键词和建议接口', async () => {
+  const result = await runStep(1, loadFixture(0))
+  const [google, baidu, custom] = result.engines.list
+
+  assert.equal(google.keyword, 'g')
+  assert.match(google.suggestUrl, /suggestqueries/)
+  // 关键词已被自定义引擎占用时只补充建议接口
+  assert.equal(baidu.keyword, undefined)
+  assert.match(baidu.suggestUrl, /suggestion\.baidu\.com/)
+  assert.deepEqual(custom, loadFixture(0).engines.list[2])
+  assert.deepEqual(result.theme, { mode: 'dark' })
+})
+
+test('v1 → v2：补齐字符集、请求方式和 POST 参数', async () => {
+  const result = await runStep(2, loadFixture(1))
+  const [google, custom] = result.engines.list
+
+  assert.equal(google.charset, 'UTF-8')
+  assert.equal(google.method, 'GET')
+  assert.deepEqual(google.params, [])
+  assert.equal(google.keyword, 'g')
+  assert.equal(custom.method, 'POST')
+  assert.deepEqual(custom.params, [{ name: 'q', value: '%s' }])
+  assert.equal(custom.keyword, '')
+})
+
+test('v2 → v3：data URL 壁纸移入资源存储', async () => {
+  const assetStore = createAssetStore()
+  const result = await runStep(3, loadFixture(2), assetStore)
+
+  assert.equal(result.wallpaper.imageUrl, 'assets/images/default.png')
+  assert.match(result.wallpaper.assetId, /^asset_[0-9a-f]{32}$/)
+  assert.equal(
+    assetStore.assets.get(result.wallpaper.assetId).type,
+    'image/png',
+  )
+  assert.equal(result.wallpaper.overlayOpacity, 0.3)
+})
+
+test('v2 → v3：重复迁移使用同一个资源ID', async () => {
+  const assetStore = createAssetStore()
+  const first = await runStep(3, loadFixture(2), assetStore)
+  const second = await runStep(3, loadFixture(2), assetStore)
+
+  assert.equal(first.wallpaper.assetId, second.wallpaper.assetId)
+  assert.equal(assetStore.assets.size, 1)
+})
+
+test('v3 → v4：已上传的壁纸加入壁纸库', async () => {
+  const result = await runStep(4, loadFixture(3))
+  const { library, currentId } = result.wallpaper
+
+  assert.equal('assetId' in result.wallpaper, false)
+  assert.equal(library.length, 2)
+  assert.equal(library[0].id, 'wallpaper_existing')
+  assert.equal(library[1].assetId, 'asset_1700000000000_abc123')
+  assert.equal(currentId, library[1].id)
+})
+
+test('每个版本都能迁移到当前版本，再次迁移不做修改', async () => {
+  for (const version of [0, 1, 2, 3]) {
+    const fixture = loadFixture(version)
+    const context = {
+      defaults: storageManager.defaultSettings,
+      assetStore: createAssetStore(),
+    }
+
+    const first = await migrateSettings(fixture, context)
+    assert.equal(first.changed, true)
+    assert.equal(first.fromVersion, version)
+    assert.equal(getSchemaVersion(first.settings), CURRENT_SCHEMA_VERSION)
+    // 原设置对象不被修改
+    assert.deepEqual(fixture, loadFixture(version))
+
+    const second = await migrateSettings(first.settings, context)
+    assert.equal(second.changed, false)
+    assert.deepEqual(second.settings, first.settings)
+  }
+})
+
+test('迁移失败时抛出包含版本号的错误', async () => {
+  await assert.rejects(
+    migrateSettings(loadFixture(2), {
+      defaults: storageManager.defaultSettings,
+      assetStore: {
+        put: async () => {
+          throw new Error('quota')
+        },
+      },
+    }),
+    /设置迁移 3.*quota/,
+  )
+})
+
+test('saveMigrated 只写入迁移改动的类别', async () => {
+  const original = loadFixture(1)
+  const migrated = await runStep(2, original)
+  migrated.schemaVersion = 2
+
+  // 迁移期间其他类别被修改
+  store[STORAGE_KEY] = { ...original, theme: { mode: 'dark' } }
+
+  assert.equal(await storageManager.saveMigrated(original, migrated), true)
+  assert.deepEqual(store[STORAGE_KEY].theme, { mode: 'dark' })
+  assert.deepEqual(store[STORAGE_KEY].engines, migrated.engines)
+  assert.equal(store[STORAGE_KEY].schemaVersion, 2)
+})
+
+test('saveMigrated 在迁移的类别被修改时放弃写入', async () => {
+  const original = loadFixture(1)
+  const migrated = await runStep(2, original)
+  migrated.schemaVersion = 2
+
+  const changed = structuredClone(original)
+  changed.engines.default = 'custom_1'
+  store[STORAGE_KEY] = changed
+
+  assert.equal(await storageManager.saveMigrated(original, migrated), false)
+  assert.deepEqual(store[STORAGE_KEY], changed)
+})
+
+test('saveMigrated 在其他地方已完成迁移时不再写入', async () => {
+  const original = loadFixture(1)
+  const migrated = await runStep(2, original)
+  migrated.schemaVersion = 2
+
+  const done = { ...migrated, theme: { mode: 'light' } }
+  store[STORAGE_KEY] = done
+
+  assert.equal(await storageManager.saveMigrated(original, migrated), true)
+  assert.deepEqual(store[STORAGE_KEY], done)
+})
+
+test('migrate 在冲突时重新读取并迁移', async () => {
+  store[STORAGE_KEY] = loadFixture(1)
+  const saveMigrated = storageManager.saveMigrated.bind(storageManager)
+  let attempts = 0
+
+  const spy = mock.method(storageManager, 'saveMigrated', async (...args) => {
+    attempts++
+    if (attempts === 1) {
+      // 第一次保存前用户修改了正在迁移的类别
+      store[STORAGE_KEY].engines.default = 'custom_1'
+    }
+    return saveMigrated(...args)
+  })
+
+  try {
+    const result = await storageManager.migrate()
+    assert.equal(attempts, 2)
+    assert.equal(result.schemaVersion, CURRENT_SCHEMA_VERSION)
+    assert.equal(store[STORAGE_KEY].schemaVersion, CURRENT_SCHEMA_VERSION)
+    assert.equal(store[STORAGE_KEY].engines.default, 'custom_1')
+    assert.equal(store[STORAGE_KEY].engines.list[0].charset, 'UTF-8')
+  } finally {
+    spy.mock.restore()
+  }
+})
+
+test('同时迁移时只写入一次', async () => {
+  store[STORAGE_KEY] = loadFixture(0)
+  const log = mock.method(console, 'log', () => {})
+  const set = mock.method(storageManager, 'set')
+
+  try {
+    const results = await Promise.all([
+      storageManager.migrate(),
+      storageManager.migrate(),
+    ])
+    assert.equal(set.mock.callCount(), 1)
+    results.forEach((result) =>
+      assert.equal(result.schemaVersion, CURRENT_SCHEMA_VERSION),
+    )
+  } finally {
+    set.mock.restore()
+    log.mock.restore()
+  }
+})
@@ -0,0 +1,203 @@
+/**
+ * 网络壁纸测试
+ * 图片由本地替身服务器提供，覆盖条件请求、类型校验、大小上限和超时
+ */
+import { test, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { installChromeStub } from './helpers/chrome-stub.js'
+import { startStubServer } from './helpers/stub-server.js'
+
+const { store } = installChromeStub()
+
+const { fetchRemoteImage, MAX_REMOTE_SIZE } =
+  await import('../scripts/remote-image.js')
+const { default: wallpaperLibrary } =
+  await import('../scripts/wallpaper-library.js')
+
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64',
+)
+const ETAG = '"v1"'
+const LAST_MODIFIED = 'Wed, 01 Jan 2025 00:00:00 GMT'
+const MB = 1024 * 1024
+
+let server
+
+before(async () => {
+  server = await startStubServer({
+    '/image.png': (req, res) => {
+      if (
+        req.headers['if-none-match'] === ETAG ||
+        req.headers['if-modified-since'] === LAST_MODIFIED
+      ) {
+        res.writeHead(304)
+        res.end()
+        return
+      }
+      res.writeHead(200, {
+        'Content-Type': 'image/png',
+        ETag: ETAG,
+        'Last-Modified': LAST_MODIFIED,
+      })
+      res.end(PNG)
+    },
+    '/page.html': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+      res.end('<html></html>')
+    },
+    '/untyped': (req, res) => {
+      res.writeHead(200)
+      res.end(PNG)
+    },
+    '/declared-large.png': (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'image/png',
+        'Content-Length': String(MAX_REMOTE_SIZE + 1),
+      })
+      res.write(PNG)
+    },
+    // 不声明长度，持续发送直到超过上限
+    '/streamed-large.png': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' })
+      const chunk = Buffer.alloc(MB)
+      let sent = 0
+      const write = () => {
+        while (sent <= MAX_REMOTE_SIZE + MB) {
+          sent += chunk.length
+          if (!res.write(chunk)) {
+            res.once('drain', write)
+            return
+          }
+        }
+        res.end()
+      }
+      res.on('error', () => {})
+      write()
+    },
+    '/hang.png': () => {},
+  })
+})
+
+after(() => server.close())
+
+test('下载图片并返回缓存条件', async () => {
+  const result = await fetchRemoteImage(`${server.origin}/image.png`)
+
+  assert.equal(result.blob.type, 'image/png')
+  assert.equal(result.blob.size, PNG.length)
+  assert.equal(result.etag, ETAG)
+  assert.equal(result.lastModified, LAST_MODIFIED)
+})
+
+test('ETag 未变化时返回 notModified', async () => {
+  const result = await fetchRemoteImage(`${server.origin}/image.png`, {
+    etag: ETAG,
+  })
+
+  assert.deepEqual(result, { notModified: true })
+  assert.equal(server.requests.at(-1).headers['if-none-match'], ETAG)
+})
+
+test('Last-Modified 未变化时返回 notModified', async () => {
+  const result = await fetchRemoteImage(`${server.origin}/image.png`, {
+    lastModified: LAST_MODIFIED,
+  })
+
+  assert.deepEqual(result, { notModified: true })
+})
+
+test('拒绝不是图片的内容', async () => {
+  await assert.rejects(
+    fetchRemoteImage(`${server.origin}/page.html`),
+    /不支持的图片类型 text\/html/,
+  )
+  await assert.rejects(
+    fetchRemoteImage(`${server.origin}/untyped`),
+    /网址返回的内容不是图片/,
+  )
+})
+
+test('声明的长度超过 20MB 时不读取内容', async () => {
+  await assert.rejects(
+    fetchRemoteImage(`${server.origin}/declared-large.png`),
+    /图片大小不能超过20MB/,
+  )
+})
+
+test('边读边统计，超过 20MB 时中止下载', async () => {
+  await assert.rejects(
+    fetchRemoteImage(`${server.origin}/streamed-large.png`),
+    /图片大小不能超过20MB/,
+  )
+})
+
+test('服务器无响应时超时', async () => {
+  await assert.rejects(
+    fetchRemoteImage(`${server.origin}/hang.png`, { timeout: 100 }),
+    /下载图片超时/,
+  )
+})
+
+test('拒绝非 http(s) 网址', async () => {
+  await assert.rejects(
+    fetchRemoteImage('file:///etc/passwd'),
+    /必须以 http:\/\/ 或 https:\/\/ 开头/,
+  )
+})
+
+/**
+ * 保存包含一张网络壁纸的设置
+ * @param {string} path - 图片路径
+ * @returns {Object} 壁纸库条目
+ */
+function storeRemoteItem(path) {
+  const item = {
+    id: 'wallpaper_remote',
+    assetId: 'asset_cached',
+    name: 'image.png',
+    favorite: false,
+    addedAt: 0,
+    source: {
+      url: `${server.origin}${path}`,
+      refresh: true,
+      checkedAt: 0,
+      etag: ETAG,
+      lastModified: null,
+    },
+  }
+  store.tabExtensionSettings = { wallpaper: { library: [item] } }
+  return item
+}
+
+test('定期更新时图片未变化则继续使用缓存', async () => {
+  const item = storeRemoteItem('/image.png')
+
+  assert.equal(await wallpaperLibrary.refreshRemote(), 0)
+
+  const [saved] = store.tabExtensionSettings.wallpaper.library
+  assert.equal(saved.assetId, item.assetId)
+  assert.equal(saved.source.etag, ETAG)
+  assert.ok(saved.source.checkedAt > 0)
+  assert.equal(server.requests.at(-1).headers['if-none-match'], ETAG)
+
+  // 刚检查过的壁纸不再请求
+  const count = server.requests.length
+  assert.equal(await wallpaperLibrary.refreshRemote(), 0)
+  assert.equal(server.requests.length, count)
+})
+
+test('定期更新失败时保留已缓存的图片', async () => {
+  const item = storeRemoteItem('/page.html')
+  const consoleError = mock.method(console, 'error', () => {})
+
+  try {
+    assert.equal(await wallpaperLibrary.refreshRemote(), 0)
+    assert.equal(consoleError.mock.callCount(), 1)
+  } finally {
+    consoleError.mock.restore()
+  }
+
+  const [saved] = store.tabExtensionSettings.wallpaper.library
+  assert.equal(saved.assetId, item.assetId)
+})
@@ -0,0 +1,109 @@
+/**
+ * 搜索建议测试
+ * 建议接口由本地替身服务器提供，覆盖防抖、取消过期请求、OpenSearch 解析和请求失败
+ */
+import { test, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { startStubServer, sendJson } from './helpers/stub-server.js'
+
+// 建议模块只在构造时查找下拉列表元素，找不到时不渲染
+globalThis.document = { getElementById: () => null }
+
+const { default: Suggestions } = await import('../scripts/suggestions.js')
+
+let server
+
+before(async () => {
+  server = await startStubServer({
+    '/suggest': (req, res, url) => {
+      const query = url.searchParams.get('q')
+      sendJson(res, [query, [`${query} 1`, `${query} 2`]])
+    },
+    '/slow': (req, res, url) => {
+      setTimeout(
+        () => sendJson(res, [url.searchParams.get('q'), ['slow']]),
+        500,
+      )
+    },
+    '/error': (req, res) => {
+      res.writeHead(500)
+      res.end()
+    },
+  })
+})
+
+after(() => server.close())
+
+/**
+ * 创建记录渲染结果的建议实例
+ * @returns {Object} { suggestions, rendered }
+ */
+function createSuggestions() {
+  const suggestions = new Suggestions({ onSelect() {}, onDelete() {} })
+  const rendered = []
+  suggestions.render = (history, remote) => rendered.push({ history, remote })
+  return { suggestions, rendered }
+}
+
+const engine = (path) => ({ suggestUrl: `${server.origin}${path}?q=%s` })
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('连续输入时只在防抖结束后请求一次', async () => {
+  const { suggestions, rendered } = createSuggestions()
+  const count = server.requests.length
+
+  suggestions.request('a', engine('/suggest'))
+  suggestions.request('ab', engine('/suggest'))
+  suggestions.request('abc', engine('/suggest'))
+  await wait(suggestions.debounceDelay + 200)
+
+  const sent = server.requests.slice(count)
+  assert.equal(sent.length, 1)
+  assert.equal(sent[0].url.searchParams.get('q'), 'abc')
+  assert.deepEqual(rendered, [{ history: [], remote: ['abc 1', 'abc 2'] }])
+})
+
+test('继续输入时取消尚未返回的请求', async () => {
+  const { suggestions, rendered } = createSuggestions()
+  suggestions.debounceDelay = 0
+
+  suggestions.request('old', engine('/slow'))
+  await wait(100)
+  suggestions.request('new', engine('/suggest'))
+  await wait(700)
+
+  assert.deepEqual(rendered, [{ history: [], remote: ['new 1', 'new 2'] }])
+})
+
+test('被取消的请求返回 null', async () => {
+  const { suggestions } = createSuggestions()
+
+  const pending = suggestions.fetchRemote(engine('/slow'), 'x')
+  suggestions.cancel()
+
+  assert.equal(await pending, null)
+})
+
+test('解析 OpenSearch 格式并忽略无效项', () => {
+  const { suggestions } = createSuggestions()
+  suggestions.maxItems = 2
+
+  assert.deepEqual(
+    suggestions.parseOpenSearch(['q', ['', 'a', 3, null, 'b', 'c']]),
+    ['a', 'b'],
+  )
+  assert.deepEqual(suggestions.parseOpenSearch({ q: ['a'] }), [])
+  assert.deepEqual(suggestions.parseOpenSearch(['q']), [])
+})
+
+test('接口出错时返回空列表', async () => {
+  const { suggestions } = createSuggestions()
+  const consoleError = mock.method(console, 'error', () => {})
+
+  try {
+    assert.deepEqual(await suggestions.fetchRemote(engine('/error'), 'x'), [])
+    assert.equal(consoleError.mock.callCount(), 1)
+  } finally {
+    consoleError.mock.restore()
+  }
+})